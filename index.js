@@ -12,11 +12,6 @@ const observer = {
   complete: () => console.log('complete')
 };
 
-// Observable.prototype.half = function () {
-//   var delivery = true;
-//   return this.filter(o => delivery = !delivery);
-// };
-
 const obs$ = Observable.fromEvent(btn1, 'click').map(_ => 1)
   .merge(
     Observable.fromEvent(btn2, 'click').map(_ => 2),
@@ -24,6 +19,7 @@ const obs$ = Observable.fromEvent(btn1, 'click').map(_ => 1)
     Observable.fromEvent(btn4, 'click').map(_ => 4)
   )
   .map(o => 'B'+o)
+  .distinctUntilChanged()
   .do(o => lp.innerText = o);
   //.take(5);
 
@@ -0,0 +1,215 @@
+/**
+ * Live subscriptions inspector, to find the streams left subscribed
+ */
+
+'use strict';
+
+import { Scheduler, config } from './reactive.js';
+
+/*************
+ * Inspector *
+ *************/
+
+/**
+ * Tracks the live subscriptions of named streams through config.onEvent
+ * (creation functions, operators, as methods or through pipe, and tag),
+ * along with the chain of streams they belong to.
+ *
+ * var inspector = new Inspector({
+ *   leakThreshold: 60000,
+ *   onLeak: subscription => console.warn('Still alive', subscription.chain)
+ * }).start();
+ *
+ * Observable.fromEvent(btn, 'click').pipe(map(e => e.x)).subscribe(log);
+ *
+ * inspector.snapshot();
+ *
+ * { time: 1528617600000,
+ *   subscriptions: [
+ *     { id: 1, name: 'map', downstream: null, chain: ['map'], ... },
+ *     { id: 2, name: 'fromEvent', downstream: 1, chain: ['fromEvent', 'map'], ... }
+ *   ] }
+ *
+ * options.leakThreshold  age (ms) from which a subscription is flagged
+ * options.onLeak         called once with each subscription flagged, the
+ *                        check running every leakThreshold ms once started
+ * options.scheduler      clock and timer of the check (async by default)
+ */
+function Inspector(options) {
+
+  var self = this;
+  var scheduler = options && options.scheduler || Scheduler.async;
+  var entries = new Map();
+  var nextId = 1;
+  var previousOnEvent;
+  var leakCheck;
+
+  this.leakThreshold = options && options.leakThreshold;
+  this.onLeak = options && options.onLeak;
+  this.isStarted = false;
+
+  /**
+   * Starts tracking, the previous config.onEvent still getting the events
+   */
+  this.start = function () {
+
+    if (self.isStarted) {
+      return self;
+    }
+
+    self.isStarted = true;
+    previousOnEvent = config.onEvent;
+
+    config.onEvent = function (event) {
+      track(event);
+      if (previousOnEvent) {
+        previousOnEvent(event);
+      }
+    };
+
+    if (self.leakThreshold !== undefined && self.onLeak) {
+      leakCheck = scheduler.schedulePeriodic(self.checkLeaks, self.leakThreshold);
+    }
+
+    return self;
+  };
+
+  /**
+   * Stops tracking and puts the previous config.onEvent back. The
+   * subscriptions tracked so far are forgotten.
+   */
+  this.stop = function () {
+
+    if (!self.isStarted) {
+      return self;
+    }
+
+    self.isStarted = false;
+    config.onEvent = previousOnEvent;
+    entries.clear();
+
+    if (leakCheck) {
+      leakCheck.dispose();
+      leakCheck = undefined;
+    }
+
+    return self;
+  };
+
+  /**
+   * Returns the live subscriptions as plain data, ready for JSON.stringify.
+   * downstream is the id of the subscription that made this one, chain the
+   * names from the source to the last named stream.
+   */
+  this.snapshot = function () {
+
+    var now = scheduler.now();
+
+    return {
+      time: now,
+      subscriptions: Array.from(entries.values()).map(function (entry) {
+        return describe(entry, now);
+      })
+    };
+  };
+
+  /**
+   * Returns the live subscriptions older than threshold
+   * (leakThreshold by default)
+   */
+  this.leaks = function (threshold) {
+
+    var now = scheduler.now();
+
+    if (threshold === undefined) {
+      threshold = self.leakThreshold;
+    }
+
+    if (threshold === undefined) {
+      throw new Error('No leak threshold given');
+    }
+
+    return Array.from(entries.values())
+      .filter(function (entry) {
+        return now - entry.subscribedAt >= threshold;
+      })
+      .map(function (entry) {
+        return describe(entry, now);
+      });
+  };
+
+  /**
+   * Calls onLeak with each subscription newly found older than
+   * leakThreshold, and returns them
+   */
+  this.checkLeaks = function () {
+
+    var flagged = self.leaks().filter(function (leak) {
+
+      var entry = findEntry(leak.id);
+
+      if (entry.isFlagged) {
+        return false;
+      }
+
+      entry.isFlagged = true;
+      return true;
+    });
+
+    if (self.onLeak) {
+      flagged.forEach(function (leak) {
+        self.onLeak(leak);
+      });
+    }
+
+    return flagged;
+  };
+
+  function track(event) {
+
+    switch (event.type) {
+      case 'subscribe':
+        var downstream = event.downstream && entries.get(event.downstream);
+        entries.set(event.subscriber, {
+          id: nextId++,
+          name: event.name,
+          downstream: downstream ? downstream.id : null,
+          chain: [event.name].concat(downstream ? downstream.chain : []),
+          subscribedAt: scheduler.now(),
+          nextCount: 0,
+          isFlagged: false
+        });
+        break;
+      case 'next':
+        var entry = entries.get(event.subscriber);
+        if (entry) {
+          entry.nextCount++;
+        }
+        break;
+      case 'dispose':
+        entries.delete(event.subscriber);
+        break;
+    }
+  }
+
+  function findEntry(id) {
+    return Array.from(entries.values()).filter(function (entry) {
+      return entry.id === id;
+    })[0];
+  }
+
+  function describe(entry, now) {
+    return {
+      id: entry.id,
+      name: entry.name,
+      downstream: entry.downstream,
+      chain: entry.chain.slice(),
+      subscribedAt: entry.subscribedAt,
+      age: now - entry.subscribedAt,
+      nextCount: entry.nextCount
+    };
+  }
+}
+
+
+export { Inspector };
@@ -7,6 +7,85 @@
 
 'use strict';
 
+/**********
+ * Config *
+ **********/
+
+var config = {
+
+  /**
+   * Receives the lifecycle events of named streams (the ones of creation
+   * functions, of operators and of tag), nothing being reported while it
+   * is not set:
+   *
+   * { type: 'subscribe' | 'next' | 'error' | 'complete' | 'dispose',
+   *   name: 'map', value: 5, error: undefined,
+   *   subscriber, downstream }
+   *
+   * subscriber is the subscription the event is about. On subscribe,
+   * downstream is the subscriber of the named stream subscribing to this
+   * one, if any: with of(1).map(f).subscribe(), map subscribes to of.
+   *
+   * config.onEvent = e => console.log(e.name, e.type, e.value);
+   */
+  onEvent: undefined,
+
+  /**
+   * Gets the errors no one handles: the ones reaching an observer without
+   * error handler, or thrown where they cannot be sent downstream. They are
+   * rethrown asynchronously while it is not set, so that they show up
+   * without breaking the code emitting them.
+   *
+   * config.onUnhandledError = err => logger.error(err);
+   */
+  onUnhandledError: undefined,
+
+  /**
+   * Gets the notifications sent to a subscriber or subject once it has
+   * errored, completed or been disposed, which are dropped. Nothing is done
+   * while it is not set.
+   *
+   * config.onStoppedNotification = (notification, target) => ...
+   *
+   * notification: { kind: 'N', value } | { kind: 'E', error } | { kind: 'C' }
+   */
+  onStoppedNotification: undefined
+};
+
+function reportUnhandledError(err) {
+
+  if (config.onUnhandledError) {
+    config.onUnhandledError(err);
+    return;
+  }
+
+  setTimeout(function () {
+    throw err;
+  });
+}
+
+function reportStoppedNotification(notification, target) {
+  if (config.onStoppedNotification) {
+    config.onStoppedNotification(notification, target);
+  }
+}
+
+function report(type, name, payload) {
+
+  if (!config.onEvent) {
+    return;
+  }
+
+  var event = { type: type, name: name };
+
+  if (payload) {
+    Object.assign(event, payload);
+  }
+
+  config.onEvent(event);
+}
+
+
 /************
  * Observer *
  ************/
@@ -19,10 +98,17 @@ function Observer(handlers) {
     }
   };
 
+  /**
+   * Without error handler, the error is reported to
+   * config.onUnhandledError
+   */
   this.error = function (error) {
     if (handlers.error) {
       handlers.error(error);
     }
+    else {
+      reportUnhandledError(error);
+    }
   };
 
   this.complete = function () {
@@ -33,673 +119,4960 @@ function Observer(handlers) {
 }
 
 
+/******************
+ * SafeSubscriber *
+ ******************/
+
+/**
+ * Observer enforcing the observable contract: next* (error|complete)?
+ *
+ * Nothing gets through once the subscriber has errored, completed or been
+ * disposed. It is a Subscription too: the teardowns added to it run as soon
+ * as one of these happens. Errors thrown by the handlers, or by the
+ * teardowns run on error or complete, are reported to
+ * config.onUnhandledError, so that they do not break the source emitting.
+ *
+ * handlers can be an observer, an object with optional next, error and
+ * complete functions, or a next function alone.
+ */
+function SafeSubscriber(handlers) {
+
+  var self = this;
+
+  var observer = new Observer(typeof handlers === 'function'
+    ? { next: handlers }
+    : handlers || {});
+
+  Subscription.call(this, function () {
+    self.isStopped = true;
+  });
+
+  this.isStopped = false;
+
+  this.next = function (value) {
+    if (!self.isStopped) {
+      try {
+        observer.next(value);
+      } catch (err) {
+        reportUnhandledError(err);
+      }
+    }
+    else {
+      reportStoppedNotification({ kind: 'N', value: value }, self);
+    }
+  };
+
+  this.error = function (err) {
+    if (!self.isStopped) {
+      self.isStopped = true;
+      try {
+        observer.error(err);
+      } catch (handlerErr) {
+        reportUnhandledError(handlerErr);
+      }
+      disposeReporting();
+    }
+    else {
+      reportStoppedNotification({ kind: 'E', error: err }, self);
+    }
+  };
+
+  this.complete = function () {
+    if (!self.isStopped) {
+      self.isStopped = true;
+      try {
+        observer.complete();
+      } catch (err) {
+        reportUnhandledError(err);
+      }
+      disposeReporting();
+    }
+    else {
+      reportStoppedNotification({ kind: 'C' }, self);
+    }
+  };
+
+  function disposeReporting() {
+    try {
+      self.dispose();
+    } catch (err) {
+      reportUnhandledError(err);
+    }
+  }
+}
+
+SafeSubscriber.prototype = Object.create(Subscription.prototype);
+SafeSubscriber.prototype.constructor = SafeSubscriber;
+
+
 /***********
  * Subject *
  ***********/
 
+/**
+ * Multicasts what it is given to its subscribers. Once errored or completed,
+ * it ignores further values and tells late subscribers right away.
+ */
 function Subject() {
 
+  var self = this;
   var observers = [];
 
+  this.isStopped = false;
+  this.hasError = false;
+  this.thrownError = undefined;
+
   this.next = function (value) {
-    observers.forEach(function (observer) {
-      observer.next(value);
-    });
+    if (!self.isStopped) {
+      observers.slice().forEach(function (observer) {
+        observer.next(value);
+      });
+    }
+    else {
+      reportStoppedNotification({ kind: 'N', value: value }, self);
+    }
   };
 
   this.error = function (err) {
-    observers.forEach(function (observer) {
-      observer.error(err);
-    });
+    if (!self.isStopped) {
+      self.isStopped = true;
+      self.hasError = true;
+      self.thrownError = err;
+      stop().forEach(function (observer) {
+        observer.error(err);
+      });
+    }
+    else {
+      reportStoppedNotification({ kind: 'E', error: err }, self);
+    }
   };
 
   this.complete = function () {
-    observers.forEach(function (observer) {
-      observer.complete();
-    });
+    if (!self.isStopped) {
+      self.isStopped = true;
+      stop().forEach(function (observer) {
+        observer.complete();
+      });
+    }
+    else {
+      reportStoppedNotification({ kind: 'C' }, self);
+    }
   };
 
   this.asObservable = function () {
     return new Observable(function (obs) {
-      return subscribe(obs);
+      return self.subscribe(obs);
     });
   };
 
   this.subscribe = function (obs) {
-    return subscribe(obs);
-  };
 
-  function subscribe(obs) {
-    var observer = new Observer(obs);
-    observers.push(observer);
+    var observer = new SafeSubscriber(obs);
 
-    return new Subscription(function dispose() {
-      observers = observers.filter(function (obs) {
-        return obs !== observer;
-      });
-    });
-  }
-}
+    if (self.hasError) {
+      observer.error(self.thrownError);
+    }
+    else if (self.isStopped) {
+      observer.complete();
+    }
+    else {
+      observers.push(observer);
 
+      observer.add(function dispose() {
+        observers = observers.filter(function (obs) {
+          return obs !== observer;
+        });
+      });
+    }
 
-/**************
- * Observable *
- **************/
+    return observer;
+  };
 
-function Observable(subscribe) {
-  this.subscribe = subscribe;
+  function stop() {
+    var stopped = observers;
+    observers = [];
+    return stopped;
+  }
 }
 
+/**
+ * Subject holding a current value, given to each new subscriber
+ *
+ * var subject = new BehaviorSubject(0);
+ * subject.next(1);
+ * subject.subscribe(observer); // observer gets 1
+ */
+function BehaviorSubject(value) {
+
+  var self = this;
 
-/****************
- * Subscription *
- ****************/
+  Subject.call(this);
 
-function Subscription(dispose) {
-  this.dispose = dispose;
-}
+  var next = this.next;
+  var subscribe = this.subscribe;
 
+  /**
+   * Returns the current value, or throws the error of an errored subject
+   */
+  this.getValue = function () {
+    if (self.hasError) {
+      throw self.thrownError;
+    }
+    return value;
+  };
 
-/**********************
- * Creation functions *
- **********************/
+  this.next = function (newValue) {
+    if (!self.isStopped) {
+      value = newValue;
+    }
+    next(newValue);
+  };
 
-/**
- * Creates an empty stream
- * 
- * ------------------>
- */
-Observable.empty = function () {
-  var isdisposed = false;
+  this.subscribe = function (obs) {
 
-  return new Observable(function (obs) {
+    var subscriber = subscribe(obs);
 
-    var observer = new Observer(obs);
+    if (!subscriber.closed) {
+      subscriber.next(value);
+    }
 
-    observer.complete();
+    return subscriber;
+  };
+}
 
-    return new Subscription(function () {
-      if (!isdisposed) {
-        isdisposed = true;
-        console.log('Empty disposed');
-      }
-    });
-  });
-};
+BehaviorSubject.prototype = Object.create(Subject.prototype);
+BehaviorSubject.prototype.constructor = BehaviorSubject;
 
 /**
- * Creates an one valued stream
- * 
- * of(5)
- * 
- * -5-|------------------> 
+ * Subject replaying to each new subscriber the last bufferSize values,
+ * no older than windowTime ms (both unbounded by default), then how it ended
+ * if it did. The age of values is read from the scheduler clock.
  */
-Observable.of = function (value) {
+function ReplaySubject(bufferSize, windowTime, scheduler) {
 
-  var isdisposed = false;
+  var self = this;
+  var buffer = [];
 
-  return new Observable(function (obs) {
-
-    var observer = new Observer(obs);
+  bufferSize = bufferSize === undefined ? Infinity : Math.max(bufferSize, 1);
+  windowTime = windowTime === undefined ? Infinity : windowTime;
+  scheduler = scheduler || Scheduler.async;
 
-    setTimeout(function () {
-      observer.next(value);
-      observer.complete();
-    }, 0);
+  Subject.call(this);
 
-    return new Subscription(function () {
-      if (!isdisposed) {
-        isdisposed = true;
-        console.log('Of disposed');
-      }
-    });
-  });
-};
+  var next = this.next;
+  var subscribe = this.subscribe;
 
-/**
- * Creates a stream from an array
- * 
- * from([3,8,5,1])
- * 
- * -3-8-5-1-|--------> 
- */
-Observable.from = function (values) {
+  this.next = function (value) {
+    if (!self.isStopped) {
+      buffer.push({ value: value, time: scheduler.now() });
+      trim();
+    }
+    next(value);
+  };
 
-  var isdisposed = false;
+  this.subscribe = function (obs) {
 
-  return new Observable(function (obs) {
+    var subscriber = new SafeSubscriber(obs);
 
-    var observer = new Observer(obs);
+    trim();
 
-    setTimeout(function () {
+    buffer.slice().forEach(function (entry) {
+      subscriber.next(entry.value);
+    });
 
-      values.forEach(function (value) {
-        if (!isdisposed) observer.next(value);
-      });
+    subscriber.add(subscribe(subscriber));
 
-      if (!isdisposed) observer.complete();
-    }, 0);
+    return subscriber;
+  };
 
-    return new Subscription(function () {
-      if (!isdisposed) {
-        isdisposed = true;
-        console.log('From disposed');
-      }
-    });
-  });
-};
+  function trim() {
 
-/**
- * Creates a stream from a range
- * 
- * range(4,8)
- * 
- * -4-5-6-7-8-|--->
- */
-Observable.range = function (min, max) {
+    var now = scheduler.now();
 
-  var values = [];
+    while (buffer.length > bufferSize) {
+      buffer.shift();
+    }
 
-  for (var i = min; i <= max; i++) {
-    values.push(i);
+    while (buffer.length > 0 && now - buffer[0].time > windowTime) {
+      buffer.shift();
+    }
   }
-  return Observable.from(values);
 }
 
+ReplaySubject.prototype = Object.create(Subject.prototype);
+ReplaySubject.prototype.constructor = ReplaySubject;
+
 /**
- * Creates a stream from interval
- * 
- * -0-1-2-3-4-5-6----->
+ * Subject emitting only its last value, when it completes. Late subscribers
+ * get that value and the completion too.
  */
-Observable.interval = function (period) {
+function AsyncSubject() {
 
-  var intervalHandler;
-  var isdisposed = false;
+  var self = this;
+  var lastValue;
+  var hasValue = false;
 
-  return new Observable(function (obs) {
+  Subject.call(this);
 
-    var observer = new Observer(obs);
-    var i = 0;
+  var next = this.next;
+  var complete = this.complete;
+  var subscribe = this.subscribe;
 
-    intervalHandler = setInterval(function () {
-      observer.next(i);
-      i++;
-    }, period);
+  this.next = function (value) {
+    if (!self.isStopped) {
+      lastValue = value;
+      hasValue = true;
+    }
+    else {
+      reportStoppedNotification({ kind: 'N', value: value }, self);
+    }
+  };
 
-    return new Subscription(function () {
-      if (!isdisposed) {
-        clearInterval(intervalHandler);
-        console.log('Interval disposed');
-        isdisposed = true;
-      }
-    });
-  });
-};
+  this.complete = function () {
+    if (!self.isStopped && hasValue) {
+      next(lastValue);
+    }
+    complete();
+  };
 
+  this.subscribe = function (obs) {
 
-/**
- * Creates a stream from an event
- */
-Observable.fromEvent = function (element, eventName) {
+    var subscriber = new SafeSubscriber(obs);
 
-  var eventHandler;
-  var isdisposed = false;
+    if (self.isStopped && !self.hasError && hasValue) {
+      subscriber.next(lastValue);
+    }
 
-  return new Observable(function (obs) {
+    subscriber.add(subscribe(subscriber));
 
-    var observer = new Observer(obs);
+    return subscriber;
+  };
+}
 
-    eventHandler = function (event) {
-      observer.next(event)
-    }
+AsyncSubject.prototype = Object.create(Subject.prototype);
+AsyncSubject.prototype.constructor = AsyncSubject;
 
-    element.addEventListener(eventName, eventHandler);
 
-    return new Subscription(function () {
+/**************
+ * Observable *
+ **************/
 
-      if (!isdisposed) {
-        element.removeEventListener(eventName, eventHandler);
-        console.log('FromEvent disposed');
-        isdisposed = true;
-      }
-    });
-  });
+/**
+ * name labels the lifecycle events of the stream, see config.onEvent
+ */
+function Observable(subscribe, name) {
+  this._subscribe = subscribe;
+  this.name = name;
 }
 
-/************************
- * Observable operators *
- ************************/
-
 /**
- * Takes n first values then disposes the source observable
- * 
- * 0-1-2-3-4-5--->
- * 
- *   take(3)
- * 
- * 0-1-2-|------->
- * 
+ * Subscribes through a SafeSubscriber, so that the subscribe function given
+ * to the constructor can emit freely: late notifications are dropped and its
+ * teardown runs on error, complete or dispose.
+ *
+ * Takes an observer, or next, error and complete functions, and returns the
+ * subscriber as the subscription.
+ *
+ * Given a SafeSubscriber, the subscription is disposed along with it, even
+ * before subscribe has returned: an operator completing early can so stop
+ * a synchronous source while it is still emitting.
  */
-Observable.prototype.take = function (n) {
-
-  var source = this;
-
-  return new Observable(function (obs) {
+Observable.prototype.subscribe = function (observerOrNext, error, complete) {
 
-    var observer = new Observer(obs);
-    var i = 0;
+  var handlers = typeof observerOrNext === 'function'
+    ? { next: observerOrNext, error: error, complete: complete }
+    : observerOrNext;
 
-    var subscription = source.subscribe(new Observer({
+  var reporter = this.name && config.onEvent
+    ? reportingObserver(this.name, handlers)
+    : undefined;
 
-      next: function (value) {
+  var subscriber = new SafeSubscriber(reporter || handlers);
 
-        if (i < n - 1) {
-          observer.next(value);
-        }
+  if (observerOrNext instanceof SafeSubscriber) {
+    observerOrNext.add(subscriber);
+    subscriber.add(function () {
+      observerOrNext.remove(subscriber);
+    });
+  }
 
-        if (i === n - 1) {
-          observer.next(value);
-          observer.complete();
-          subscription.dispose();
-        }
+  if (reporter) {
+    reporter.subscriber = subscriber;
+    reporter.subscribe();
+    subscribing.push(subscriber);
+  }
 
-        i++;
-      },
-      error: function (err) {
-        observer.error(err);
-      },
-      complete: function () {
-        observer.complete();
-      }
-    }));
+  try {
+    subscriber.add(this._subscribe(subscriber));
+  } catch (err) {
+    subscriber.error(err);
+  } finally {
+    if (reporter) {
+      subscribing.pop();
+    }
+  }
 
-    return new Subscription(function () {
-      subscription.dispose();
-    });
-  });
+  return subscriber;
 };
 
 /**
- * Filters value from source stream
- * 
- * -5-9-2-7-3-4---->
- * 
- * filter(x -> x > 4)
- *  
- * -5-9---7-------->
+ * Subscribers of the named streams being subscribed, innermost last
  */
-Observable.prototype.filter = function (test) {
+var subscribing = [];
 
-  var source = this;
+/**
+ * Subscribes to source with handlers on behalf of parent, the subscriber of
+ * an operator (or a subscription of it). The subscriber made is added to
+ * parent before source runs, so that parent closing stops a synchronous
+ * source, and leaves it once disposed.
+ */
+function subscribeFor(parent, source, handlers) {
 
-  return new Observable(function (obs) {
+  var subscriber = parent.add(new SafeSubscriber(handlers));
 
-    var observer = new Observer(obs);
+  subscriber.add(function () {
+    parent.remove(subscriber);
+  });
 
-    var subscription = source.subscribe(new Observer({
+  source.subscribe(subscriber);
 
-      next: function (value) {
+  return subscriber;
+}
 
-        if (test(value)) {
-          observer.next(value);
-        }
-      },
-      error: function (err) {
-        observer.error(err);
-      },
-      complete: function () {
-        observer.complete();
+/**
+ * Applies operators one after the other, from left to right
+ *
+ * Observable.interval(10).pipe(filter(x => x % 2), map(x => x * 10), take(3))
+ */
+Observable.prototype.pipe = function () {
+  return pipeFromArray(Array.prototype.slice.call(arguments))(this);
+};
+
+/**
+ * Composes operators into a single one
+ *
+ * var evenTens = pipe(filter(x => x % 2 === 0), map(x => x * 10));
+ * Observable.interval(10).pipe(evenTens, take(3));
+ */
+function pipe() {
+  return pipeFromArray(Array.prototype.slice.call(arguments));
+}
+
+/**
+ * Reports the notifications going to handlers under name
+ */
+function reportingObserver(name, handlers) {
+
+  var observer = new Observer(handlers || {});
+
+  var reporter = {
+
+    subscriber: undefined,
+
+    subscribe: function () {
+
+      report('subscribe', name, {
+        subscriber: reporter.subscriber,
+        downstream: subscribing[subscribing.length - 1]
+      });
+
+      reporter.subscriber.add(function () {
+        report('dispose', name, { subscriber: reporter.subscriber });
+      });
+    },
+    next: function (value) {
+      report('next', name, { value: value, subscriber: reporter.subscriber });
+      observer.next(value);
+    },
+    error: function (err) {
+      report('error', name, { error: err, subscriber: reporter.subscriber });
+      observer.error(err);
+    },
+    complete: function () {
+      report('complete', name, { subscriber: reporter.subscriber });
+      observer.complete();
+    }
+  };
+
+  return reporter;
+}
+
+function pipeFromArray(operators) {
+  return function (source) {
+    return operators.reduce(function (result, operator) {
+      return operator(result);
+    }, source);
+  };
+}
+
+
+/****************
+ * Subscription *
+ ****************/
+
+/**
+ * Runs teardown once on dispose, along with the children added to it.
+ *
+ * Children are subscriptions or teardown functions. A child added to a
+ * closed subscription is disposed right away, which happens with sources
+ * terminating synchronously. Errors thrown while disposing are collected
+ * into a DisposeError once every teardown has run.
+ */
+function Subscription(teardown) {
+
+  var self = this;
+  var children = [];
+
+  this.closed = false;
+
+  /**
+   * Adds a child disposed along with this subscription, and returns it
+   * as a subscription (to remove it later)
+   */
+  this.add = function (child) {
+
+    if (!child || child === self) {
+      return self;
+    }
+
+    if (typeof child === 'function') {
+      child = new Subscription(child);
+    }
+
+    if (self.closed) {
+      child.dispose();
+    }
+    else {
+      children.push(child);
+    }
+
+    return child;
+  };
+
+  this.remove = function (child) {
+    children = children.filter(function (c) {
+      return c !== child;
+    });
+  };
+
+  this.dispose = function () {
+
+    if (self.closed) {
+      return;
+    }
+
+    self.closed = true;
+
+    var errors = [];
+    var toDispose = children;
+    children = [];
+
+    if (teardown) {
+      collect(teardown);
+    }
+
+    toDispose.forEach(function (child) {
+      collect(function () {
+        child.dispose();
+      });
+    });
+
+    if (errors.length > 0) {
+      throw new DisposeError(errors);
+    }
+
+    function collect(fn) {
+      try {
+        fn();
+      } catch (err) {
+        errors = errors.concat(err instanceof DisposeError ? err.errors : [err]);
       }
-    }));
+    }
+  };
 
-    return new Subscription(function () {
-      subscription.dispose();
+  /**
+   * Same as dispose, for libraries following the Observable proposal
+   */
+  this.unsubscribe = this.dispose;
+}
+
+/**
+ * Error thrown by Subscription.dispose, listing the errors thrown
+ * by the teardowns in errors
+ */
+function DisposeError(errors) {
+  this.name = 'DisposeError';
+  this.message = errors.length + ' error(s) occurred while disposing:\n'
+    + errors.map(function (err, i) {
+      return (i + 1) + ') ' + String(err);
+    }).join('\n');
+  this.errors = errors;
+  this.stack = new Error(this.message).stack;
+}
+
+DisposeError.prototype = Object.create(Error.prototype);
+DisposeError.prototype.constructor = DisposeError;
+
+
+/**********
+ * Errors *
+ **********/
+
+/**
+ * Error of first, last and friends when the stream completes without the
+ * value they wait for and no default was given
+ */
+function EmptyError() {
+  this.name = 'EmptyError';
+  this.message = 'No elements in sequence';
+  this.stack = new Error(this.message).stack;
+}
+
+EmptyError.prototype = Object.create(Error.prototype);
+EmptyError.prototype.constructor = EmptyError;
+
+/**
+ * Error of elementAt when the stream completes before reaching the index
+ * and no default was given
+ */
+function ArgumentOutOfRangeError() {
+  this.name = 'ArgumentOutOfRangeError';
+  this.message = 'Argument out of range';
+  this.stack = new Error(this.message).stack;
+}
+
+ArgumentOutOfRangeError.prototype = Object.create(Error.prototype);
+ArgumentOutOfRangeError.prototype.constructor = ArgumentOutOfRangeError;
+
+/**
+ * Error of an async iteration with the 'buffer' strategy when the stream
+ * emits more values than the buffer can hold
+ */
+function BufferOverflowError(bufferSize) {
+  this.name = 'BufferOverflowError';
+  this.message = 'Buffer overflow, more than ' + bufferSize + ' value(s) waiting';
+  this.bufferSize = bufferSize;
+  this.stack = new Error(this.message).stack;
+}
+
+BufferOverflowError.prototype = Object.create(Error.prototype);
+BufferOverflowError.prototype.constructor = BufferOverflowError;
+
+
+/*************
+ * Scheduler *
+ *************/
+
+/**
+ * Decides when a piece of work runs.
+ *
+ * enqueue(run, delay) must call run once after delay (in ms) and return a
+ * function cancelling it. now() gives the scheduler's clock.
+ */
+function Scheduler(enqueue, now) {
+
+  this.now = now || function () {
+    return Date.now();
+  };
+
+  /**
+   * Runs work once after delay, unless the returned subscription is disposed
+   */
+  this.schedule = function (work, delay) {
+
+    var cancel;
+
+    var action = new Subscription(function () {
+      if (cancel) {
+        cancel();
+      }
+    });
+
+    cancel = enqueue(function () {
+      if (!action.closed) {
+        cancel = undefined;
+        action.dispose();
+        work();
+      }
+    }, delay || 0);
+
+    return action;
+  };
+
+  /**
+   * Runs work every period until the returned subscription is disposed
+   */
+  this.schedulePeriodic = function (work, period) {
+
+    var self = this;
+    var action;
+
+    var periodic = new Subscription(function () {
+      action.dispose();
+    });
+
+    function tick() {
+      action = self.schedule(function () {
+        work();
+        if (!periodic.closed) {
+          tick();
+        }
+      }, period);
+    }
+
+    tick();
+
+    return periodic;
+  };
+}
+
+/**
+ * Runs work on a timer (setTimeout)
+ */
+Scheduler.async = new Scheduler(function (run, delay) {
+
+  var timeoutHandler = setTimeout(run, delay);
+
+  return function () {
+    clearTimeout(timeoutHandler);
+  };
+});
+
+/**
+ * Runs work synchronously. Work scheduled from inside another work is queued
+ * and runs as soon as the current one returns. Delayed work falls back to
+ * the async scheduler.
+ *
+ * A work throwing does not stop the queue: the error is rethrown once the
+ * queue is empty, the next ones going to config.onUnhandledError.
+ */
+Scheduler.immediate = new Scheduler((function () {
+
+  var queue = [];
+  var isrunning = false;
+
+  return function (run, delay) {
+
+    if (delay > 0) {
+      return Scheduler.async.schedule(run, delay).dispose;
+    }
+
+    queue.push(run);
+
+    if (!isrunning) {
+
+      var hasError = false;
+      var thrownError;
+
+      isrunning = true;
+
+      while (queue.length > 0) {
+        try {
+          queue.shift()();
+        } catch (err) {
+          if (hasError) {
+            reportUnhandledError(err);
+          }
+          else {
+            hasError = true;
+            thrownError = err;
+          }
+        }
+      }
+
+      isrunning = false;
+
+      if (hasError) {
+        throw thrownError;
+      }
+    }
+
+    return function () {
+      queue = queue.filter(function (queued) {
+        return queued !== run;
+      });
+    };
+  };
+})());
+
+/**
+ * Runs work in a microtask, right after the current synchronous code.
+ * Delayed work falls back to the async scheduler.
+ */
+Scheduler.asap = new Scheduler(function (run, delay) {
+
+  if (delay > 0) {
+    return Scheduler.async.schedule(run, delay).dispose;
+  }
+
+  var iscancelled = false;
+
+  var microtask = typeof queueMicrotask === 'function'
+    ? queueMicrotask
+    : function (task) {
+      Promise.resolve().then(task);
+    };
+
+  microtask(function () {
+    if (!iscancelled) {
+      run();
+    }
+  });
+
+  return function () {
+    iscancelled = true;
+  };
+});
+
+/**
+ * Runs work before the next repaint (requestAnimationFrame), or on a 16ms
+ * timer where there is no such thing (Node). Delayed work falls back to the
+ * async scheduler.
+ */
+Scheduler.animationFrame = new Scheduler(function (run, delay) {
+
+  if (delay > 0) {
+    return Scheduler.async.schedule(run, delay).dispose;
+  }
+
+  if (typeof requestAnimationFrame !== 'function') {
+    return Scheduler.async.schedule(run, 16).dispose;
+  }
+
+  var frameHandler = requestAnimationFrame(function () {
+    run();
+  });
+
+  return function () {
+    cancelAnimationFrame(frameHandler);
+  };
+});
+
+/**
+ * Scheduler running on a virtual clock, for tests. Nothing runs until the
+ * clock is moved forward with advanceBy, advanceTo or flush.
+ *
+ * var scheduler = new TestScheduler();
+ * Observable.interval(10, scheduler).subscribe(observer);
+ * scheduler.advanceBy(30); // observer got 0, 1 and 2
+ */
+function TestScheduler() {
+
+  var frame = 0;
+  var actions = [];
+  var lastId = 0;
+
+  Scheduler.call(this, function enqueue(run, delay) {
+
+    var action = {
+      id: lastId++,
+      time: frame + delay,
+      run: run
+    };
+
+    actions.push(action);
+    actions.sort(function (a, b) {
+      return a.time - b.time || a.id - b.id;
     });
+
+    return function () {
+      actions = actions.filter(function (queued) {
+        return queued !== action;
+      });
+    };
+  }, function now() {
+    return frame;
   });
+
+  /**
+   * Runs every action due up to time, then sets the clock to time
+   */
+  this.advanceTo = function (time) {
+
+    while (actions.length > 0 && actions[0].time <= time) {
+      var action = actions.shift();
+      frame = action.time;
+      action.run();
+    }
+
+    frame = Math.max(frame, time);
+  };
+
+  this.advanceBy = function (duration) {
+    this.advanceTo(frame + duration);
+  };
+
+  /**
+   * Runs actions until none is left. Periodic work never ends,
+   * use advanceTo or advanceBy instead.
+   */
+  this.flush = function () {
+    while (actions.length > 0) {
+      this.advanceTo(actions[0].time);
+    }
+  };
+}
+
+TestScheduler.prototype = Object.create(Scheduler.prototype);
+TestScheduler.prototype.constructor = TestScheduler;
+
+
+/**********************
+ * Creation functions *
+ **********************/
+
+/**
+ * Creates an empty stream, completing right away or on the given scheduler
+ * 
+ * empty()
+ * 
+ * |------------------>
+ */
+Observable.empty = function (scheduler) {
+
+  return new Observable(function (obs) {
+
+    var observer = new Observer(obs);
+
+    var subscription = new Subscription();
+
+    if (scheduler) {
+      subscription.add(scheduler.schedule(function () {
+        observer.complete();
+      }));
+    }
+    else {
+      observer.complete();
+    }
+
+    return subscription;
+  }, 'empty');
 };
 
 /**
- * Maps each resulting value from stream
+ * Creates a stream erroring right away or on the given scheduler
  * 
- * 0-1-2-3-4-5--->
+ * throwError(new Error('timeout'))
  * 
- * map(x -> x * 2)
+ * #------------------>
+ */
+Observable.throwError = function (err, scheduler) {
+
+  return new Observable(function (obs) {
+
+    var observer = new Observer(obs);
+
+    if (scheduler) {
+      return scheduler.schedule(function () {
+        observer.error(err);
+      });
+    }
+
+    observer.error(err);
+  }, 'throwError');
+};
+
+/**
+ * Creates a stream of the given values, emitting on the scheduler given
+ * last (async by default)
  * 
- * 0-2-4-6-8-10--->
+ * of(5, 6, 7)
+ * 
+ * (5 6 7|)--------------->
  */
-Observable.prototype.map = function (map) {
+Observable.of = function () {
 
-  var source = this;
+  var values = Array.prototype.slice.call(arguments);
+  var scheduler = values[values.length - 1] instanceof Scheduler
+    ? values.pop()
+    : Scheduler.async;
 
   return new Observable(function (obs) {
 
     var observer = new Observer(obs);
 
-    var subscription = source.subscribe(new Observer({
+    var subscription = new Subscription();
 
-      next: function (value) {
-        observer.next(map(value));
-      },
-      error: function (err) {
-        observer.error(err);
-      },
-      complete: function () {
+    subscription.add(scheduler.schedule(function () {
+
+      values.forEach(function (value) {
+        if (!obs.closed) {
+          observer.next(value);
+        }
+      });
+
+      if (!obs.closed) {
         observer.complete();
       }
     }));
 
-    return new Subscription(function () {
-      subscription.dispose();
-    });
-  });
+    return subscription;
+  }, 'of');
 };
 
 /**
- * Do something on each value from stream without modifying the stream
+ * Creates a stream from an array, emitting on the given scheduler
+ * (async by default)
  * 
- * 0-1-2-3-4-5--->
+ * from([3,8,5,1])
  * 
- * do(x -> console.log(x))
+ * (3 8 5 1|)-------->
+ * 
+ * Also takes:
+ * - any iterable (Set, Map, string, generator...), read lazily so that an
+ *   endless generator can be taken from
+ * - array-likes (arguments, NodeList...)
+ * - promises, see fromPromise
+ * - subjects, and the observables of other libraries implementing
+ *   Symbol.observable, mirroring them
+ */
+Observable.from = function (values, scheduler) {
+
+  if (values && typeof values[symbolObservable] === 'function') {
+    return fromInterop(values[symbolObservable]());
+  }
+
+  if (values && typeof values.then === 'function') {
+    return Observable.fromPromise(values);
+  }
+
+  var isiterable = values != null && typeof values[Symbol.iterator] === 'function';
+  var isarraylike = values != null && typeof values.length === 'number';
+
+  if (!isiterable && !isarraylike) {
+    throw new TypeError('Cannot create a stream from ' + values);
+  }
+
+  scheduler = scheduler || Scheduler.async;
+
+  return new Observable(function (obs) {
+
+    var observer = new Observer(obs);
+
+    var subscription = new Subscription();
+
+    subscription.add(scheduler.schedule(function () {
+
+      if (isiterable) {
+        emitIterable(observer, obs, values[Symbol.iterator]());
+        return;
+      }
+
+      for (var i = 0; i < values.length && !obs.closed; i++) {
+        observer.next(values[i]);
+      }
+
+      if (!obs.closed) {
+        observer.complete();
+      }
+    }));
+
+    return subscription;
+  }, 'from');
+};
+
+/**
+ * Emits the values of iterator until it is done or subscriber is closed,
+ * returning the iterator in the latter case
+ */
+function emitIterable(observer, subscriber, iterator) {
+
+  var result;
+
+  while (!subscriber.closed) {
+
+    try {
+      result = iterator.next();
+    } catch (err) {
+      observer.error(err);
+      return;
+    }
+
+    if (result.done) {
+      observer.complete();
+      return;
+    }
+
+    observer.next(result.value);
+  }
+
+  if (iterator.return) {
+    iterator.return();
+  }
+}
+
+/**
+ * Creates a stream from a range, computing the values as they are emitted
+ * 
+ * range(4,8)
+ * 
+ * (4 5 6 7 8|)--->
+ */
+Observable.range = function (min, max, scheduler) {
+
+  return Observable.generate(min, function (i) {
+    return i <= max;
+  }, function (i) {
+    return i + 1;
+  }, scheduler);
+};
+
+/**
+ * Creates a stream as a for loop would: emits initialState then the
+ * results of iterate, as long as condition holds, on the given scheduler
+ * (async by default)
+ * 
+ * generate(1, x -> x < 50, x -> x * 3)
+ * 
+ * (1 3 9 27|)------>
+ */
+Observable.generate = function (initialState, condition, iterate, scheduler) {
+
+  scheduler = scheduler || Scheduler.async;
+
+  return new Observable(function (obs) {
+
+    var observer = new Observer(obs);
+
+    var subscription = new Subscription();
+
+    subscription.add(scheduler.schedule(function () {
+
+      var state = initialState;
+      var iscontinuing;
+
+      while (!obs.closed) {
+
+        try {
+          iscontinuing = condition(state);
+        } catch (err) {
+          observer.error(err);
+          return;
+        }
+
+        if (!iscontinuing) {
+          observer.complete();
+          return;
+        }
+
+        observer.next(state);
+
+        try {
+          state = iterate(state);
+        } catch (err) {
+          observer.error(err);
+          return;
+        }
+      }
+    }));
+
+    return subscription;
+  }, 'generate');
+};
+
+/**
+ * Creates a stream from interval, ticking on the given scheduler
+ * (async by default)
+ * 
+ * interval(2)
+ * 
+ * --0-1-2-3-4-5-6->
+ */
+Observable.interval = function (period, scheduler) {
+
+  scheduler = scheduler || Scheduler.async;
+
+  return new Observable(function (obs) {
+
+    var observer = new Observer(obs);
+    var i = 0;
+
+    var subscription = new Subscription();
+
+    subscription.add(scheduler.schedulePeriodic(function () {
+      observer.next(i);
+      i++;
+    }, period));
+
+    return subscription;
+  }, 'interval');
+};
+
+/**
+ * Emits 0 after dueTime (a delay in ms or a Date) then completes, or keeps
+ * on emitting 1, 2, 3... every period when given, on the given scheduler
+ * (async by default)
+ * 
+ * timer(3, 2)
+ * 
+ * ---0-1-2-3-4->
+ */
+Observable.timer = function (dueTime, period, scheduler) {
+
+  if (period instanceof Scheduler) {
+    scheduler = period;
+    period = undefined;
+  }
+
+  scheduler = scheduler || Scheduler.async;
+
+  return new Observable(function (obs) {
+
+    var observer = new Observer(obs);
+    var delay = dueTime instanceof Date
+      ? Math.max(0, dueTime.getTime() - scheduler.now())
+      : dueTime;
+
+    var subscription = new Subscription();
+
+    subscription.add(scheduler.schedule(function () {
+
+      observer.next(0);
+
+      if (period === undefined) {
+        observer.complete();
+        return;
+      }
+
+      var i = 1;
+
+      subscription.add(scheduler.schedulePeriodic(function () {
+        observer.next(i);
+        i++;
+      }, period));
+    }, delay));
+
+    return subscription;
+  }, 'timer');
+};
+
+/**
+ * Calls factory for each subscriber and subscribes it to the stream
+ * returned, or to Observable.from of what is returned (array, promise...)
+ * 
+ * defer(() -> of(Date.now()))
+ */
+Observable.defer = function (factory) {
+
+  return new Observable(function (obs) {
+
+    var source;
+
+    try {
+      source = toObservable(factory());
+    } catch (err) {
+      obs.error(err);
+      return;
+    }
+
+    return source.subscribe(obs);
+  }, 'defer');
+};
+
+/**
+ * Subscribes to trueResult or falseResult (empty by default) depending on
+ * condition, called at subscription time
+ * 
+ * iif(() -> isLoggedIn, profile$, of(guest))
+ */
+Observable.iif = function (condition, trueResult, falseResult) {
+
+  return Observable.defer(function () {
+    return condition()
+      ? trueResult
+      : falseResult || Observable.empty();
+  });
+};
+
+/**
+ * Creates a resource living as long as the subscription: resourceFactory
+ * makes it, observableFactory gets it and returns the stream to mirror, the
+ * resource being disposed (dispose or unsubscribe) with the subscription
+ * 
+ * using(() -> openSocket(), socket -> fromEvent(socket, 'message'))
+ */
+Observable.using = function (resourceFactory, observableFactory) {
+
+  return new Observable(function (obs) {
+
+    var resource;
+    var source;
+
+    var subscription = new Subscription(function () {
+      if (resource && typeof resource.dispose === 'function') {
+        resource.dispose();
+      }
+      else if (resource && typeof resource.unsubscribe === 'function') {
+        resource.unsubscribe();
+      }
+    });
+
+    try {
+      resource = resourceFactory();
+      source = toObservable(observableFactory(resource));
+    } catch (err) {
+      obs.error(err);
+      return subscription;
+    }
+
+    subscription.add(source.subscribe(obs));
+
+    return subscription;
+  }, 'using');
+};
+
+/**
+ * Returns input if it is an observable, Observable.from of it otherwise
+ */
+function toObservable(input) {
+  return input instanceof Observable ? input : Observable.from(input);
+}
+
+
+/**
+ * Creates a stream from an event of a DOM element, a Node EventEmitter
+ * (on/off or addListener/removeListener) or a jQuery-style object (on/off).
+ * Events given several arguments, as Node ones can be, emit them as an array.
+ */
+Observable.fromEvent = function (element, eventName) {
+
+  var listeners = eventListeners(element);
+
+  return new Observable(function (obs) {
+
+    var observer = new Observer(obs);
+
+    var eventHandler = function (event) {
+      observer.next(arguments.length > 1
+        ? Array.prototype.slice.call(arguments)
+        : event);
+    }
+
+    listeners.add(eventName, eventHandler);
+
+    return new Subscription(function () {
+      listeners.remove(eventName, eventHandler);
+    });
+  }, 'fromEvent');
+}
+
+/**
+ * Finds how to listen to target: DOM, Node or jQuery style
+ */
+function eventListeners(target) {
+
+  var methods = [
+    ['addEventListener', 'removeEventListener'],
+    ['on', 'off'],
+    ['addListener', 'removeListener']
+  ].filter(function (pair) {
+    return target
+      && typeof target[pair[0]] === 'function'
+      && typeof target[pair[1]] === 'function';
+  })[0];
+
+  if (!methods) {
+    throw new TypeError('Invalid event target');
+  }
+
+  return {
+    add: function (eventName, handler) {
+      target[methods[0]](eventName, handler);
+    },
+    remove: function (eventName, handler) {
+      target[methods[1]](eventName, handler);
+    }
+  };
+}
+
+/**
+ * Creates a stream from the chunks of a Node Readable stream, reading the
+ * next chunk once the previous one has been emitted. Disposing before the
+ * end destroys the stream.
+ * 
+ * fromReadable(fs.createReadStream(path))
+ * 
+ * -chunk-chunk-chunk-|-->
+ */
+Observable.fromReadable = function (stream) {
+  return Observable.fromAsyncIterable(stream);
+};
+
+/**
+ * Creates a stream emitting the value of a promise then completing,
+ * or erroring with its rejection reason
+ * 
+ * fromPromise(Promise.resolve(5))
+ * 
+ * -5|---------------->
+ */
+Observable.fromPromise = function (promise) {
+
+  return new Observable(function (obs) {
+
+    var observer = new Observer(obs);
+
+    promise.then(function (value) {
+      observer.next(value);
+      observer.complete();
+    }, function (err) {
+      observer.error(err);
+    });
+  }, 'fromPromise');
+};
+
+/**
+ * Creates a stream from an async iterable (async generator, readable
+ * stream...), asking it for the next value once the previous one has been
+ * emitted. Disposing returns the iterator.
+ * 
+ * fromAsyncIterable(ticks())
+ * 
+ * --0--1--2--|------->
+ */
+Observable.fromAsyncIterable = function (iterable) {
+
+  return new Observable(function (obs) {
+
+    var observer = new Observer(obs);
+    var iterator = iterable[Symbol.asyncIterator]();
+    var isdone = false;
+
+    pull();
+
+    return new Subscription(function () {
+      if (!isdone) {
+        isdone = true;
+        if (iterator.return) {
+          Promise.resolve(iterator.return()).catch(reportUnhandledError);
+        }
+      }
+    });
+
+    function pull() {
+      iterator.next().then(function (result) {
+        if (isdone) {
+          return;
+        }
+        if (result.done) {
+          isdone = true;
+          observer.complete();
+        }
+        else {
+          observer.next(result.value);
+          pull();
+        }
+      }, function (err) {
+        if (!isdone) {
+          isdone = true;
+          observer.error(err);
+        }
+      });
+    }
+  }, 'fromAsyncIterable');
+};
+
+/**
+ * Mirrors an observable of another library, got from Symbol.observable
+ */
+function fromInterop(interop) {
+
+  return new Observable(function (obs) {
+
+    var subscription = interop.subscribe({
+      next: function (value) {
+        obs.next(value);
+      },
+      error: function (err) {
+        obs.error(err);
+      },
+      complete: function () {
+        obs.complete();
+      }
+    });
+
+    return function () {
+      subscription.unsubscribe();
+    };
+  }, 'from');
+}
+
+/*************************
+ * Combination functions *
+ *************************/
+
+/**
+ * Emits the latest value of each stream, as an array or through project,
+ * whenever one of them emits once all have. Completes when all streams
+ * have, or when one completes without a value.
+ * 
+ * -a-----b---c---|-->
+ * ---1-2-----------3-|->
+ * 
+ * combineLatest(a, b)
+ * 
+ * ---[a1]-[a2]-[b2]---[c2]-----[c3]-|->
+ * 
+ * Takes the streams as arguments or as an array, with an optional project
+ * function last.
+ */
+Observable.combineLatest = function () {
+
+  var args = combinationArguments(arguments);
+  var observables = args.observables;
+
+  return new Observable(function (obs) {
+
+    var observer = new Observer(obs);
+    var subscription = new Subscription();
+    var values = [];
+    var hasValue = [];
+    var valueCount = 0;
+    var completeCount = 0;
+
+    if (observables.length === 0) {
+      observer.complete();
+      return;
+    }
+
+    observables.forEach(function (source, index) {
+      subscription.add(subscribeFor(obs, source, {
+
+        next: function (value) {
+
+          if (!hasValue[index]) {
+            hasValue[index] = true;
+            valueCount++;
+          }
+
+          values[index] = value;
+
+          if (valueCount === observables.length) {
+            emitCombined(observer, args.project, values.slice());
+          }
+        },
+        error: function (err) {
+          observer.error(err);
+        },
+        complete: function () {
+          completeCount++;
+          if (completeCount === observables.length || !hasValue[index]) {
+            observer.complete();
+          }
+        }
+      }));
+    });
+
+    return subscription;
+  }, 'combineLatest');
+};
+
+/**
+ * Emits the n-th values of all streams together, as an array or through
+ * project. Completes once a completed stream has no value left to pair.
+ * 
+ * -a-----b---c---|-->
+ * ---1-2-----------3-|->
+ * 
+ * zip(a, b)
+ * 
+ * ---[a1]---[b2]---------([c3]|)
+ */
+Observable.zip = function () {
+
+  var args = combinationArguments(arguments);
+  var observables = args.observables;
+
+  return new Observable(function (obs) {
+
+    var observer = new Observer(obs);
+    var subscription = new Subscription();
+    var buffers = observables.map(function () {
+      return [];
+    });
+    var completed = [];
+
+    if (observables.length === 0) {
+      observer.complete();
+      return;
+    }
+
+    observables.forEach(function (source, index) {
+      subscription.add(subscribeFor(obs, source, {
+
+        next: function (value) {
+
+          buffers[index].push(value);
+
+          var isready = buffers.every(function (buffer) {
+            return buffer.length > 0;
+          });
+
+          if (isready) {
+            emitCombined(observer, args.project, buffers.map(function (buffer) {
+              return buffer.shift();
+            }));
+            checkComplete();
+          }
+        },
+        error: function (err) {
+          observer.error(err);
+        },
+        complete: function () {
+          completed[index] = true;
+          checkComplete();
+        }
+      }));
+    });
+
+    return subscription;
+
+    function checkComplete() {
+      var isdone = buffers.some(function (buffer, index) {
+        return completed[index] && buffer.length === 0;
+      });
+
+      if (isdone) {
+        observer.complete();
+      }
+    }
+  }, 'zip');
+};
+
+/**
+ * Waits for all streams to complete, then emits their last values together,
+ * as an array or through project. Completes without a value when a stream
+ * completes without one.
+ * 
+ * -a-----b---c---|-->
+ * ---1-2-----------3-|->
+ * 
+ * forkJoin(a, b)
+ * 
+ * -------------------([c3]|)
+ */
+Observable.forkJoin = function () {
+
+  var args = combinationArguments(arguments);
+  var observables = args.observables;
+
+  return new Observable(function (obs) {
+
+    var observer = new Observer(obs);
+    var subscription = new Subscription();
+    var values = [];
+    var hasValue = [];
+    var completeCount = 0;
+
+    if (observables.length === 0) {
+      observer.complete();
+      return;
+    }
+
+    observables.forEach(function (source, index) {
+      subscription.add(subscribeFor(obs, source, {
+
+        next: function (value) {
+          hasValue[index] = true;
+          values[index] = value;
+        },
+        error: function (err) {
+          observer.error(err);
+        },
+        complete: function () {
+
+          if (!hasValue[index]) {
+            observer.complete();
+            return;
+          }
+
+          completeCount++;
+
+          if (completeCount === observables.length) {
+            emitCombined(observer, args.project, values);
+            observer.complete();
+          }
+        }
+      }));
+    });
+
+    return subscription;
+  }, 'forkJoin');
+};
+
+/**
+ * Plays streams one after the other
+ * 
+ * -a-b-|------->
+ * -1-2-|
+ * 
+ * concat(a, b)
+ * 
+ * -a-b--1-2-|-->
+ */
+Observable.concat = function () {
+  return Observable.from(combinationArguments(arguments).observables, Scheduler.immediate)
+    .concatAll();
+};
+
+/**
+ * Mirrors the first stream to emit, value, error or completion, and disposes
+ * the others
+ * 
+ * ----a-b-|---->
+ * --1---2---3-->
+ * 
+ * race(a, b)
+ * 
+ * --1---2---3-->
+ */
+Observable.race = function () {
+
+  var observables = combinationArguments(arguments).observables;
+
+  return new Observable(function (obs) {
+
+    var observer = new Observer(obs);
+    var subscription = new Subscription();
+    var subscriptions = [];
+    var winner = -1;
+
+    // A stream emitting synchronously wins before the next ones are subscribed
+    for (var i = 0; i < observables.length && winner === -1; i++) {
+      subscriptions.push(subscription.add(subscribeRacer(observables[i], i)));
+    }
+
+    return subscription;
+
+    function subscribeRacer(source, index) {
+      return subscribeFor(obs, source, {
+
+        next: function (value) {
+          if (win(index)) {
+            observer.next(value);
+          }
+        },
+        error: function (err) {
+          if (win(index)) {
+            observer.error(err);
+          }
+        },
+        complete: function () {
+          if (win(index)) {
+            observer.complete();
+          }
+        }
+      });
+    }
+
+    function win(index) {
+
+      if (winner === -1) {
+        winner = index;
+        subscriptions.forEach(function (loser, i) {
+          if (i !== index) {
+            subscription.remove(loser);
+            loser.dispose();
+          }
+        });
+      }
+
+      return winner === index;
+    }
+  }, 'race');
+};
+
+/**
+ * Reads the arguments of the combination functions: streams, or an array of
+ * streams, optionally followed by a project function
+ */
+function combinationArguments(args) {
+
+  var observables = Array.prototype.slice.call(args);
+  var project;
+
+  if (typeof observables[observables.length - 1] === 'function') {
+    project = observables.pop();
+  }
+
+  if (observables.length === 1 && Array.isArray(observables[0])) {
+    observables = observables[0];
+  }
+
+  return {
+    observables: observables,
+    project: project
+  };
+}
+
+/**
+ * Emits values as an array, or through project, routing its errors
+ */
+function emitCombined(observer, project, values) {
+
+  if (!project) {
+    observer.next(values);
+    return;
+  }
+
+  var result;
+
+  try {
+    result = project.apply(null, values);
+  } catch (err) {
+    observer.error(err);
+    return;
+  }
+
+  observer.next(result);
+}
+
+/************************
+ * Observable operators *
+ ************************/
+
+/**
+ * Takes n first values then disposes the source observable
+ * 
+ * 0-1-2-3-4-5--->
+ * 
+ * take(3)
+ * 
+ * 0-1-(2|)------>
+ */
+function take(n) {
+
+  return function (source) {
+
+    if (n <= 0) {
+      return named('take', Observable.empty());
+    }
+
+    return new Observable(function (obs) {
+
+      var observer = new Observer(obs);
+      var i = 0;
+
+      return subscribeFor(obs, source, {
+
+        next: function (value) {
+
+          if (i < n - 1) {
+            observer.next(value);
+          }
+
+          if (i === n - 1) {
+            observer.next(value);
+            observer.complete();
+          }
+
+          i++;
+        },
+        error: function (err) {
+          observer.error(err);
+        },
+        complete: function () {
+          observer.complete();
+        }
+      });
+    }, 'take');
+  };
+}
+
+/**
+ * Takes values while predicate holds, then completes. With inclusive, the
+ * value failing predicate is emitted too.
+ * 
+ * 1-2-3-4-1-2--->
+ * 
+ * takeWhile(x -> x < 3)
+ * 
+ * 1-2-|--------->
+ */
+function takeWhile(predicate, inclusive) {
+
+  return function (source) {
+
+    return new Observable(function (obs) {
+
+      var observer = new Observer(obs);
+      var index = 0;
+
+      return subscribeFor(obs, source, {
+
+        next: function (value) {
+
+          var passed;
+
+          try {
+            passed = predicate(value, index++);
+          } catch (err) {
+            observer.error(err);
+            return;
+          }
+
+          if (passed || inclusive) {
+            observer.next(value);
+          }
+
+          if (!passed) {
+            observer.complete();
+          }
+        },
+        error: function (err) {
+          observer.error(err);
+        },
+        complete: function () {
+          observer.complete();
+        }
+      });
+    }, 'takeWhile');
+  };
+}
+
+/**
+ * Takes values until notifier emits, then completes
+ * 
+ * 0-1-2-3-4-5--->
+ * 
+ * takeUntil(-----x------->)
+ * 
+ * 0-1-2|-------->
+ */
+function takeUntil(notifier) {
+
+  return function (source) {
+
+    return new Observable(function (obs) {
+
+      var observer = new Observer(obs);
+      var subscription = new Subscription();
+
+      subscription.add(subscribeFor(obs, notifier, {
+
+        next: function () {
+          observer.complete();
+        },
+        error: function (err) {
+          observer.error(err);
+        }
+      }));
+
+      // The notifier may have completed the result already
+      if (obs.closed) {
+        return subscription;
+      }
+
+      subscription.add(subscribeFor(obs, source, {
+
+        next: function (value) {
+          observer.next(value);
+        },
+        error: function (err) {
+          observer.error(err);
+        },
+        complete: function () {
+          observer.complete();
+        }
+      }));
+
+      return subscription;
+    }, 'takeUntil');
+  };
+}
+
+/**
+ * Skips n first values
+ * 
+ * 0-1-2-3-4-5--->
+ * 
+ * skip(3)
+ * 
+ * ------3-4-5--->
+ */
+function skip(n) {
+
+  return function (source) {
+
+    return named('skip', filter(function (value, index) {
+      return index >= n;
+    })(source));
+  };
+}
+
+/**
+ * Skips values while predicate holds, then takes all the next ones
+ * 
+ * 1-2-3-4-1-2--->
+ * 
+ * skipWhile(x -> x < 3)
+ * 
+ * ----3-4-1-2--->
+ */
+function skipWhile(predicate) {
+
+  return function (source) {
+
+    return new Observable(function (obs) {
+
+      var isskipping = true;
+
+      return filter(function (value, index) {
+        isskipping = isskipping && predicate(value, index);
+        return !isskipping;
+      })(source).subscribe(obs);
+    }, 'skipWhile');
+  };
+}
+
+/**
+ * Skips values until notifier emits
+ * 
+ * 0-1-2-3-4-5--->
+ * 
+ * skipUntil(-----x------->)
+ * 
+ * ------3-4-5--->
+ */
+function skipUntil(notifier) {
+
+  return function (source) {
+
+    return new Observable(function (obs) {
+
+      var observer = new Observer(obs);
+      var subscription = new Subscription();
+      var isskipping = true;
+      var notification;
+
+      notification = subscribeFor(obs, notifier, {
+
+        next: function () {
+          isskipping = false;
+          // A synchronous notifier emits before subscribe has returned
+          if (notification) {
+            subscription.remove(notification);
+            notification.dispose();
+          }
+        },
+        error: function (err) {
+          observer.error(err);
+        }
+      });
+
+      if (isskipping) {
+        subscription.add(notification);
+      }
+      else {
+        notification.dispose();
+      }
+
+      subscription.add(subscribeFor(obs, source, {
+
+        next: function (value) {
+          if (!isskipping) {
+            observer.next(value);
+          }
+        },
+        error: function (err) {
+          observer.error(err);
+        },
+        complete: function () {
+          observer.complete();
+        }
+      }));
+
+      return subscription;
+    }, 'skipUntil');
+  };
+}
+
+/**
+ * Emits the first value passing predicate (the first value without one)
+ * and completes. If there is none, emits defaultValue when given, or errors
+ * with an EmptyError.
+ * 
+ * 1-2-3-4-5-|--->
+ * 
+ * first(x -> x > 2)
+ * 
+ * ----(3|)------>
+ */
+function first(predicate, defaultValue) {
+
+  var hasDefault = arguments.length > 1;
+
+  return function (source) {
+
+    return new Observable(function (obs) {
+
+      var observer = new Observer(obs);
+      var index = 0;
+
+      return subscribeFor(obs, source, {
+
+        next: function (value) {
+
+          var passed;
+
+          try {
+            passed = !predicate || predicate(value, index++);
+          } catch (err) {
+            observer.error(err);
+            return;
+          }
+
+          if (passed) {
+            observer.next(value);
+            observer.complete();
+          }
+        },
+        error: function (err) {
+          observer.error(err);
+        },
+        complete: function () {
+          if (hasDefault) {
+            observer.next(defaultValue);
+            observer.complete();
+          }
+          else {
+            observer.error(new EmptyError());
+          }
+        }
+      });
+    }, 'first');
+  };
+}
+
+/**
+ * Emits the last value passing predicate (the last value without one) on
+ * completion. If there is none, emits defaultValue when given, or errors
+ * with an EmptyError.
+ * 
+ * 1-2-3-4-5-|--->
+ * 
+ * last(x -> x < 3)
+ * 
+ * ----------(2|)
+ */
+function last(predicate, defaultValue) {
+
+  var hasDefault = arguments.length > 1;
+
+  return function (source) {
+
+    return new Observable(function (obs) {
+
+      var observer = new Observer(obs);
+      var index = 0;
+      var lastValue;
+      var hasValue = false;
+
+      return subscribeFor(obs, source, {
+
+        next: function (value) {
+
+          var passed;
+
+          try {
+            passed = !predicate || predicate(value, index++);
+          } catch (err) {
+            observer.error(err);
+            return;
+          }
+
+          if (passed) {
+            lastValue = value;
+            hasValue = true;
+          }
+        },
+        error: function (err) {
+          observer.error(err);
+        },
+        complete: function () {
+          if (hasValue || hasDefault) {
+            observer.next(hasValue ? lastValue : defaultValue);
+            observer.complete();
+          }
+          else {
+            observer.error(new EmptyError());
+          }
+        }
+      });
+    }, 'last');
+  };
+}
+
+/**
+ * Emits the value at index and completes. If the stream is shorter, emits
+ * defaultValue when given, or errors with an ArgumentOutOfRangeError.
+ * 
+ * a-b-c-d-|--->
+ * 
+ * elementAt(2)
+ * 
+ * ----(c|)---->
+ */
+function elementAt(index, defaultValue) {
+
+  var hasDefault = arguments.length > 1;
+
+  if (index < 0) {
+    throw new ArgumentOutOfRangeError();
+  }
+
+  return function (source) {
+
+    return new Observable(function (obs) {
+
+      var observer = new Observer(obs);
+      var i = 0;
+
+      return subscribeFor(obs, source, {
+
+        next: function (value) {
+          if (i++ === index) {
+            observer.next(value);
+            observer.complete();
+          }
+        },
+        error: function (err) {
+          observer.error(err);
+        },
+        complete: function () {
+          if (hasDefault) {
+            observer.next(defaultValue);
+            observer.complete();
+          }
+          else {
+            observer.error(new ArgumentOutOfRangeError());
+          }
+        }
+      });
+    }, 'elementAt');
+  };
+}
+
+/**
+ * Filters value from source stream, test gets each value and its index
+ * 
+ * -5-9-2-7-3-4---->
+ * 
+ * filter(x -> x > 4)
+ *  
+ * -5-9---7-------->
+ */
+function filter(test) {
+
+  return function (source) {
+
+    return new Observable(function (obs) {
+
+      var observer = new Observer(obs);
+      var index = 0;
+
+      return subscribeFor(obs, source, {
+
+        next: function (value) {
+
+          var passed;
+
+          try {
+            passed = test(value, index++);
+          } catch (err) {
+            observer.error(err);
+            return;
+          }
+
+          if (passed) {
+            observer.next(value);
+          }
+        },
+        error: function (err) {
+          observer.error(err);
+        },
+        complete: function () {
+          observer.complete();
+        }
+      });
+    }, 'filter');
+  };
+}
+
+/**
+ * Maps each resulting value from stream, map gets each value and its index
+ * 
+ * 0-1-2-3-4-5--->
+ * 
+ * map(x -> x * 2)
+ * 
+ * 0-2-4-6-8-10--->
+ */
+function map(project) {
+
+  return function (source) {
+
+    return new Observable(function (obs) {
+
+      var observer = new Observer(obs);
+      var index = 0;
+
+      return subscribeFor(obs, source, {
+
+        next: function (value) {
+
+          var result;
+
+          try {
+            result = project(value, index++);
+          } catch (err) {
+            observer.error(err);
+            return;
+          }
+
+          observer.next(result);
+        },
+        error: function (err) {
+          observer.error(err);
+        },
+        complete: function () {
+          observer.complete();
+        }
+      });
+    }, 'map');
+  };
+}
+
+/**
+ * Skips values already emitted, compared by the key given by keySelector
+ * (the value itself by default). Seen keys are forgotten each time flushes
+ * emits.
+ * 
+ * 1-2-1-3-2-4--->
+ * 
+ * distinct()
+ * 
+ * 1-2---3---4--->
+ */
+function distinct(keySelector, flushes) {
+
+  return function (source) {
+
+    return new Observable(function (obs) {
+
+      var observer = new Observer(obs);
+      var subscription = new Subscription();
+      var keys = new Set();
+
+      if (flushes) {
+        subscription.add(subscribeFor(obs, flushes, {
+
+          next: function () {
+            keys.clear();
+          },
+          error: function (err) {
+            observer.error(err);
+          }
+        }));
+      }
+
+      subscription.add(subscribeFor(obs, source, {
+
+        next: function (value) {
+
+          var key;
+
+          try {
+            key = keySelector ? keySelector(value) : value;
+          } catch (err) {
+            observer.error(err);
+            return;
+          }
+
+          if (!keys.has(key)) {
+            keys.add(key);
+            observer.next(value);
+          }
+        },
+        error: function (err) {
+          observer.error(err);
+        },
+        complete: function () {
+          observer.complete();
+        }
+      }));
+
+      return subscription;
+    }, 'distinct');
+  };
+}
+
+/**
+ * Skips values equal to the previous one, by comparator (===
+ * by default) on the keys given by keySelector (the values by default)
+ * 
+ * 1-1-2-2-2-1-3--->
+ * 
+ * distinctUntilChanged()
+ * 
+ * 1---2-----1-3--->
+ */
+function distinctUntilChanged(comparator, keySelector) {
+
+  return function (source) {
+
+    comparator = comparator || function (a, b) {
+      return a === b;
+    };
+
+    return new Observable(function (obs) {
+
+      var observer = new Observer(obs);
+      var previousKey;
+      var hasPrevious = false;
+
+      return subscribeFor(obs, source, {
+
+        next: function (value) {
+
+          var key;
+          var isequal;
+
+          try {
+            key = keySelector ? keySelector(value) : value;
+            isequal = hasPrevious && comparator(previousKey, key);
+          } catch (err) {
+            observer.error(err);
+            return;
+          }
+
+          previousKey = key;
+          hasPrevious = true;
+
+          if (!isequal) {
+            observer.next(value);
+          }
+        },
+        error: function (err) {
+          observer.error(err);
+        },
+        complete: function () {
+          observer.complete();
+        }
+      });
+    }, 'distinctUntilChanged');
+  };
+}
+
+/**
+ * Skips objects whose key property equals the previous one's, by
+ * comparator (=== by default)
+ * 
+ * {v:1}-{v:1}-{v:2}--->
+ * 
+ * distinctUntilKeyChanged('v')
+ * 
+ * {v:1}---{v:2}--->
+ */
+function distinctUntilKeyChanged(key, comparator) {
+
+  return function (source) {
+
+    var byKey = distinctUntilChanged(comparator, function (value) {
+      return value[key];
+    });
+
+    return named('distinctUntilKeyChanged', byKey(source));
+  };
+}
+
+/**
+ * Emits each value along with the previous one
+ * 
+ * a-b-c-d--->
+ * 
+ * pairwise()
+ * 
+ * --[a,b]-[b,c]-[c,d]--->
+ */
+function pairwise() {
+
+  return function (source) {
+
+    return new Observable(function (obs) {
+
+      var observer = new Observer(obs);
+      var previous;
+      var hasPrevious = false;
+
+      return subscribeFor(obs, source, {
+
+        next: function (value) {
+
+          if (hasPrevious) {
+            observer.next([previous, value]);
+          }
+
+          previous = value;
+          hasPrevious = true;
+        },
+        error: function (err) {
+          observer.error(err);
+        },
+        complete: function () {
+          observer.complete();
+        }
+      });
+    }, 'pairwise');
+  };
+}
+
+/**
+ * Do something on each value from stream without modifying the stream
+ * 
+ * 0-1-2-3-4-5--->
+ * 
+ * tap(x -> console.log(x))
  * 
  * 0-1-2-3-4-5--->
  */
-Observable.prototype.do = function (next, error, complete) {
+function tap(next, error, complete) {
+
+  var toDo = new Observer({
+    next: next,
+    error: error || function () {},
+    complete: complete
+  });
+
+  return function (source) {
+
+    return new Observable(function (obs) {
+
+      var observer = new Observer(obs);
+
+      return subscribeFor(obs, source, {
+
+        next: function (value) {
+          try {
+            toDo.next(value);
+          } catch (err) {
+            observer.error(err);
+            return;
+          }
+          observer.next(value);
+        },
+        error: function (err) {
+          try {
+            toDo.error(err);
+          } catch (doErr) {
+            err = doErr;
+          }
+          observer.error(err);
+        },
+        complete: function () {
+          try {
+            toDo.complete();
+          } catch (err) {
+            observer.error(err);
+            return;
+          }
+          observer.complete();
+        }
+      });
+    }, 'tap');
+  };
+}
+
+/**
+ * Labels this point of the chain: its lifecycle events are reported to
+ * config.onEvent under name
+ * 
+ * interval(10).map(x -> x * 2).tag('doubled')
+ */
+function tag(name) {
+
+  return function (source) {
+
+    return new Observable(function (obs) {
+      return source.subscribe(obs);
+    }, name);
+  };
+}
+
+/**
+ * Logs the lifecycle events of this point of the chain to the console,
+ * whatever config.onEvent
+ * 
+ * -1-2-|->
+ * 
+ * debug('clicks')
+ * 
+ * clicks subscribe, clicks next 1, clicks next 2, clicks complete,
+ * clicks dispose
+ */
+function debug(label) {
+
+  label = label || 'debug';
+
+  return function (source) {
+
+    return new Observable(function (obs) {
+
+      var observer = new Observer(obs);
+
+      console.log(label, 'subscribe');
+
+      var subscription = subscribeFor(obs, source, {
+
+        next: function (value) {
+          console.log(label, 'next', value);
+          observer.next(value);
+        },
+        error: function (err) {
+          console.log(label, 'error', err);
+          observer.error(err);
+        },
+        complete: function () {
+          console.log(label, 'complete');
+          observer.complete();
+        }
+      });
+
+      subscription.add(function () {
+        console.log(label, 'dispose');
+      });
+
+      return subscription;
+    }, 'debug');
+  };
+}
+
+/**
+ * Takes the n last values of a stream (the last one by default), emitted on
+ * completion. An empty stream just completes.
+ * 
+ * 0-1-2-3-4-5-|->
+ * 
+ * takeLast(2)
+ * 
+ * ------------(4 5|)->
+ */
+function takeLast(n) {
+
+  if (n === undefined) {
+    n = 1;
+  }
+
+  return function (source) {
+
+    if (n <= 0) {
+      return named('takeLast', Observable.empty());
+    }
+
+    return new Observable(function (obs) {
+
+      var observer = new Observer(obs);
+      var buffer = [];
+
+      return subscribeFor(obs, source, {
+
+        next: function (value) {
+          buffer.push(value);
+          if (buffer.length > n) {
+            buffer.shift();
+          }
+        },
+        error: function (err) {
+          observer.error(err);
+        },
+        complete: function () {
+          buffer.forEach(function (value) {
+            observer.next(value);
+          });
+          observer.complete();
+        }
+      });
+    }, 'takeLast');
+  };
+}
+
+/**
+ * Accumulates the values of a stream, emitting each step. Without seed, the
+ * first value is the first accumulation.
+ * 
+ * 1-2-3-4-5-->
+ * 
+ * scan((acc, x) -> acc * x)
+ * 
+ * 1-2-6-24-120-->
+ */
+function scan(accumulator, seed) {
+
+  var hasSeed = arguments.length > 1;
+
+  return function (source) {
+
+    return new Observable(function (obs) {
+
+      var observer = new Observer(obs);
+      var accumulation = seed;
+      var hasAccumulation = hasSeed;
+
+      return subscribeFor(obs, source, {
+
+        next: function (value) {
+
+          if (!hasAccumulation) {
+            accumulation = value;
+            hasAccumulation = true;
+          }
+          else {
+            try {
+              accumulation = accumulator(accumulation, value);
+            } catch (err) {
+              observer.error(err);
+              return;
+            }
+          }
+
+          observer.next(accumulation);
+        },
+        error: function (err) {
+          observer.error(err);
+        },
+        complete: function () {
+          observer.complete();
+        }
+      });
+    }, 'scan');
+  };
+}
+
+/**
+ * Reduces the values of a stream, emitting the result on completion. Without
+ * seed, the first value is the first accumulation and an empty stream emits
+ * nothing. Without accumulator, values are summed.
+ * 
+ * 1-2-3-4-5-|->
+ * 
+ * reduce((acc, x) -> acc * x)
+ * 
+ * ----------(120|)->
+ */
+function reduce(accumulator, seed) {
+
+  var hasSeed = arguments.length > 1;
+
+  return function (source) {
+
+    if (!accumulator) {
+      return reduce(add, 0)(source);
+    }
+    var scanned = hasSeed ? scan(accumulator, seed)(source) : scan(accumulator)(source);
+
+    return new Observable(function (obs) {
+
+      var observer = new Observer(obs);
+      var accumulation = seed;
+      var hasAccumulation = hasSeed;
+
+      return subscribeFor(obs, scanned, {
+
+        next: function (value) {
+          accumulation = value;
+          hasAccumulation = true;
+        },
+        error: function (err) {
+          observer.error(err);
+        },
+        complete: function () {
+          if (hasAccumulation) {
+            observer.next(accumulation);
+          }
+          observer.complete();
+        }
+      });
+    }, 'reduce');
+  };
+}
+
+/**
+ * Sums the values of a stream
+ * 
+ * 0-1-2-3-4-5-->
+ * 
+ * sum()
+ * 
+ * 0-1-3-6-10-15-->
+ */
+function sum() {
+  return function (source) {
+    return named('sum', scan(add, 0)(source));
+  };
+}
+
+/**
+ * Counts the values of a stream passing predicate (all by default),
+ * on completion
+ * 
+ * 10-3-6-2-8-|->
+ * 
+ * count(x -> x > 5)
+ * 
+ * ----------(3|)->
+ */
+function count(predicate) {
+
+  return function (source) {
+
+    return named('count', reduce(function (count, value) {
+      return !predicate || predicate(value) ? count + 1 : count;
+    }, 0)(source));
+  };
+}
+
+/**
+ * Emits the smallest value of a stream on completion, compared with
+ * comparer (as for Array.sort) or with < by default
+ * 
+ * 10-3-6-2-8-|->
+ * 
+ * min()
+ * 
+ * ----------(2|)->
+ */
+function min(comparer) {
+
+  return function (source) {
+
+    comparer = comparer || compare;
+    return named('min', reduce(function (min, value) {
+      return comparer(value, min) < 0 ? value : min;
+    })(source));
+  };
+}
+
+/**
+ * Emits the largest value of a stream on completion, compared with
+ * comparer (as for Array.sort) or with > by default
+ * 
+ * 10-3-6-2-8-|->
+ * 
+ * max()
+ * 
+ * ----------(10|)->
+ */
+function max(comparer) {
+
+  return function (source) {
+
+    comparer = comparer || compare;
+    return named('max', reduce(function (max, value) {
+      return comparer(value, max) > 0 ? value : max;
+    })(source));
+  };
+}
+
+/**
+ * Emits the mean of the values of a stream on completion, nothing for an
+ * empty stream
+ * 
+ * 10-3-6-2-9-|->
+ * 
+ * average()
+ * 
+ * ----------(6|)->
+ */
+function average() {
+
+  return function (source) {
+
+    return named('average', source.pipe(
+      reduce(function (total, value) {
+        return { sum: total.sum + value, count: total.count + 1 };
+      }, { sum: 0, count: 0 }),
+      filter(function (total) {
+        return total.count > 0;
+      }),
+      map(function (total) {
+        return total.sum / total.count;
+      })
+    ));
+  };
+}
+
+/**
+ * Collects all values in an array, emitted on completion
+ * 
+ * 0-1-2-3-|---->
+ * 
+ * toArray()
+ * 
+ * --------([0,1,2,3]|)->
+ */
+function toArray() {
+
+  return function (source) {
+
+    return new Observable(function (obs) {
+      return reduce(function (values, value) {
+        values.push(value);
+        return values;
+      }, [])(source).subscribe(obs);
+    }, 'toArray');
+  };
+}
+
+/**
+ * Splits a stream into one stream per key given by keySelector. Each group
+ * is emitted when its first value comes, as an observable with a key
+ * property, and ends with the source.
+ * 
+ * 1-2-3-4-5-|--->
+ * 
+ * groupBy(x -> x % 2)
+ * 
+ *    O-E-------|--->
+ * O: 1---3---5-|->
+ * E:   2---4---|->
+ */
+function groupBy(keySelector) {
+
+  return function (source) {
+
+    return new Observable(function (obs) {
+
+      var observer = new Observer(obs);
+      var groups = new Map();
+
+      return subscribeFor(obs, source, {
+
+        next: function (value) {
+
+          var key;
+
+          try {
+            key = keySelector(value);
+          } catch (err) {
+            error(err);
+            return;
+          }
+
+          var group = groups.get(key);
+
+          if (!group) {
+            group = new Subject();
+            groups.set(key, group);
+
+            var grouped = group.asObservable();
+            grouped.key = key;
+            observer.next(grouped);
+          }
+
+          group.next(value);
+        },
+        error: function (err) {
+          error(err);
+        },
+        complete: function () {
+          groups.forEach(function (group) {
+            group.complete();
+          });
+          observer.complete();
+        }
+      });
+
+      function error(err) {
+        groups.forEach(function (group) {
+          group.error(err);
+        });
+        observer.error(err);
+      }
+    }, 'groupBy');
+  };
+}
+
+function add(a, b) {
+  return a + b;
+}
+
+function compare(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Returns 1 for each value of a stream
+ * 
+ * 0-1-2-3-4-5-->
+ * 
+ * uno()
+ * 
+ * 1-1-1-1-1-1-->
+ */
+function uno() {
+
+  return function (source) {
+
+    return named('uno', map(function (value) {
+      return 1;
+    })(source));
+  };
+}
+
+/**
+ * Counts the number of consumed values of a stream
+ * 
+ * 10-3-6-2-8-->
+ * 
+ * tic()
+ * 
+ * 1-2-3-4-5-->
+ */
+function tic() {
+  return function (source) {
+    return named('tic', source.pipe(uno(), sum()));
+  };
+}
+
+/**
+ * Merges multiple streams
+ * 
+ * 3---4---4-|-------->
+ * 
+ * merge(
+ * --2---3---2-|------>,
+ * --------------0-|-->
+ * )
+ * 
+ * 3-2-4-3-4-2---0-|->
+ */
+function merge() {
+
+  var others = Array.prototype.slice.call(arguments);
+
+  return function (source) {
+
+    var observables = [source].concat(others);
+
+    return new Observable(function subscribe(obs) {
+
+      var observer = new Observer(obs);
+      var subscription = new Subscription();
+      var completeCount = 0;
+
+      observables.forEach(function (source) {
+        subscription.add(subscribeFor(obs, source, {
+
+          next: function (value) {
+            observer.next(value);
+          },
+          error: function (err) {
+            observer.error(err);
+          },
+          complete: function () {
+            completeCount++;
+            if (completeCount === observables.length) {
+              observer.complete();
+            }
+          }
+        }));
+      });
+
+      return subscription;
+    }, 'merge');
+  };
+}
+
+/**
+ * Merges all streams emitted by the source stream, subscribed to at most
+ * concurrent at a time (unbounded by default). The others wait in line.
+ * 
+ *  --A---B---|-------->
+ * A: 0------2---|----->
+ * B:     ------5---|-->
+ * 
+ * mergeAll()
+ * 
+ *  --0------2--5---|-->
+ */
+function mergeAll(concurrent) {
+  return function (source) {
+    return named('mergeAll', flatten(source, concurrent || Infinity, 'queue'));
+  };
+}
+
+/**
+ * Transform values of source bservables into new observables and merges them,
+ * subscribed to at most concurrent at a time (unbounded by default).
+ * 
+ * 0-1-|-------->
+ * 
+ * mergeMap(x -> from([x, x*2]))
+ * 
+ * (0 0)-(1 2)-|---->
+ */
+function mergeMap(project, concurrent) {
+  return function (source) {
+    return named('mergeMap', source.pipe(map(project), mergeAll(concurrent)));
+  };
+}
+
+/**
+ * Plays the streams emitted by the source stream one after the other
+ * 
+ *  --A---B---|--------------->
+ * A: 0------2---|------------>
+ * B:     ------5---|--------->
+ * 
+ * concatAll()
+ * 
+ *  --0------2---------5---|-->
+ */
+function concatAll() {
+  return function (source) {
+    return named('concatAll', flatten(source, 1, 'queue'));
+  };
+}
+
+/**
+ * Transform values of source observables into new observables and plays
+ * them one after the other
+ * 
+ * 0-1-|-------------->
+ * 
+ * concatMap(x -> interval(2).take(2).map(y -> x))
+ * 
+ * --0-0-1-(1|)------>
+ */
+function concatMap(project) {
+  return function (source) {
+    return named('concatMap', source.pipe(map(project), concatAll()));
+  };
+}
+
+/**
+ * Follows the last stream emitted by the source stream, disposing the
+ * previous one
+ * 
+ *  --A---B---|-------->
+ * A: 0------2---|----->
+ * B:     ------5---|-->
+ * 
+ * switchAll()
+ * 
+ *  --0---------5---|-->
+ */
+function switchAll() {
+  return function (source) {
+    return named('switchAll', flatten(source, 1, 'switch'));
+  };
+}
+
+/**
+ * Transform values of source observables into new observables and follows
+ * the last one only, as for a type-ahead search
+ * 
+ * -a---b-c---------->
+ * 
+ * switchMap(x -> of(x).delay(3))
+ * 
+ * ----a-----c------->
+ */
+function switchMap(project) {
+  return function (source) {
+    return named('switchMap', source.pipe(map(project), switchAll()));
+  };
+}
+
+/**
+ * Follows the streams emitted by the source stream, ignoring those emitted
+ * while one is still running
+ * 
+ *  --A---B---|-------->
+ * A: 0------2---|----->
+ * B:     ------5---|-->
+ * 
+ * exhaustAll()
+ * 
+ *  --0------2---|----->
+ */
+function exhaustAll() {
+  return function (source) {
+    return named('exhaustAll', flatten(source, 1, 'drop'));
+  };
+}
+
+/**
+ * Transform values of source observables into new observables, ignoring
+ * values coming while the current one is still running
+ * 
+ * -c-c-c------c------>
+ * 
+ * exhaustMap(x -> of('s').delay(4))
+ * 
+ * -----s----------s-->
+ */
+function exhaustMap(project) {
+  return function (source) {
+    return named('exhaustMap', source.pipe(map(project), exhaustAll()));
+  };
+}
+
+/**
+ * Subscribes to the streams emitted by source, forwarding their values and
+ * errors. When concurrent streams are already running, a new one is
+ * queued ('queue'), replaces the oldest one ('switch') or is ignored
+ * ('drop'). Completes once source and every stream it emitted have.
+ */
+function flatten(source, concurrent, overflow) {
+
+  return new Observable(function (obs) {
+
+    var observer = new Observer(obs);
+    var subscription = new Subscription();
+    var inners = [];
+    var queue = [];
+    var iscompleted = false;
+
+    subscription.add(subscribeFor(obs, source, {
+
+      next: function (observable) {
+
+        if (inners.length < concurrent) {
+          subscribeInner(observable);
+        }
+        else if (overflow === 'queue') {
+          queue.push(observable);
+        }
+        else if (overflow === 'switch') {
+          disposeInner(inners[0]);
+          subscribeInner(observable);
+        }
+      },
+      error: function (err) {
+        observer.error(err);
+      },
+      complete: function () {
+        iscompleted = true;
+        complete();
+      }
+    }));
+
+    return subscription;
+
+    function subscribeInner(observable) {
+
+      // Registered before subscribing, as the stream may end synchronously
+      var inner = new Subscription();
+      inners.push(inner);
+      subscription.add(inner);
+
+      inner.add(subscribeFor(obs, observable, {
+        next: function (value) {
+          observer.next(value);
+        },
+        error: function (err) {
+          observer.error(err);
+        },
+        complete: function () {
+          disposeInner(inner);
+
+          if (queue.length > 0) {
+            subscribeInner(queue.shift());
+          }
+          else {
+            complete();
+          }
+        }
+      }));
+    }
+
+    function disposeInner(inner) {
+      inners = inners.filter(function (i) {
+        return i !== inner;
+      });
+      subscription.remove(inner);
+      inner.dispose();
+    }
+
+    function complete() {
+      if (iscompleted && inners.length === 0 && queue.length === 0) {
+        observer.complete();
+      }
+    }
+  });
+}
+
+/**
+ * Same as toArray, kept for older code
+ */
+function join() {
+  return function (source) {
+    return named('join', toArray()(source));
+  };
+}
+
+/**
+ * Combines the source with other streams, see Observable.combineLatest
+ * 
+ * -a-----b---c---|-->
+ * 
+ * combineLatest(---1-2-----------3-|->)
+ * 
+ * ---[a1]-[a2]-[b2]---[c2]-----[c3]-|->
+ */
+function combineLatest() {
+  var args = arguments;
+  return function (source) {
+    return named('combineLatest',
+      Observable.combineLatest.apply(null, withSource(source, args)));
+  };
+}
+
+/**
+ * Pairs the source with other streams, see Observable.zip
+ * 
+ * -a-----b---c---|-->
+ * 
+ * zip(---1-2-----------3-|->)
+ * 
+ * ---[a1]---[b2]---------([c3]|)
+ */
+function zip() {
+  var args = arguments;
+  return function (source) {
+    return named('zip',
+      Observable.zip.apply(null, withSource(source, args)));
+  };
+}
+
+/**
+ * Joins the last values of the source and other streams, see
+ * Observable.forkJoin
+ * 
+ * -a-----b---c---|-->
+ * 
+ * forkJoin(---1-2-----------3-|->)
+ * 
+ * -------------------([c3]|)
+ */
+function forkJoin() {
+  var args = arguments;
+  return function (source) {
+    return named('forkJoin',
+      Observable.forkJoin.apply(null, withSource(source, args)));
+  };
+}
+
+/**
+ * Plays other streams after the source, see Observable.concat
+ * 
+ * -a-b-|------->
+ * 
+ * concat(-1-2-|)
+ * 
+ * -a-b--1-2-|-->
+ */
+function concat() {
+  var args = arguments;
+  return function (source) {
+    return named('concat',
+      Observable.concat.apply(null, withSource(source, args)));
+  };
+}
+
+/**
+ * Mirrors the first of the source and other streams to emit, see
+ * Observable.race
+ * 
+ * ----a-b-|---->
+ * 
+ * race(--1---2---3-->)
+ * 
+ * --1---2---3-->
+ */
+function race() {
+  var args = arguments;
+  return function (source) {
+    return named('race',
+      Observable.race.apply(null, withSource(source, args)));
+  };
+}
+
+/**
+ * Emits each source value with the latest values of other streams, as an
+ * array or through a project function given last. Source values coming
+ * before every other stream has emitted are dropped.
+ * 
+ * -a-----b---c---|-->
+ * 
+ * withLatestFrom(---1-2-----------3-|->)
+ * 
+ * -------[b2]---[c2]---|->
+ */
+function withLatestFrom() {
+
+  var args = combinationArguments(arguments);
+  var others = args.observables;
+
+  return function (source) {
+
+    return new Observable(function (obs) {
+
+      var observer = new Observer(obs);
+      var subscription = new Subscription();
+      var latest = [];
+      var hasValue = [];
+      var valueCount = 0;
+
+      others.forEach(function (other, index) {
+        subscription.add(subscribeFor(obs, other, {
+
+          next: function (value) {
+            if (!hasValue[index]) {
+              hasValue[index] = true;
+              valueCount++;
+            }
+            latest[index] = value;
+          },
+          error: function (err) {
+            observer.error(err);
+          }
+        }));
+      });
+
+      subscription.add(subscribeFor(obs, source, {
+
+        next: function (value) {
+          if (valueCount === others.length) {
+            emitCombined(observer, args.project, [value].concat(latest));
+          }
+        },
+        error: function (err) {
+          observer.error(err);
+        },
+        complete: function () {
+          observer.complete();
+        }
+      }));
+
+      return subscription;
+    }, 'withLatestFrom');
+  };
+}
+
+/**
+ * Names the stream an operator builds out of other ones, see config.onEvent
+ */
+function named(name, observable) {
+  observable.name = name;
+  return observable;
+}
+
+/**
+ * Puts source in front of the arguments given to an operator
+ */
+function withSource(source, args) {
+  return [source].concat(Array.prototype.slice.call(args));
+}
+
+/**
+ * Collects values, emitting them as an array each time notifier emits.
+ * A non-empty buffer is emitted when the source completes.
+ * 
+ * 0-1-2-3-4-5-|->
+ * 
+ * buffer(---x-----x--->)
+ * 
+ * ---[0,1]-----[2,3,4]--([5]|)
+ */
+function buffer(notifier) {
+
+  return function (source) {
+
+    return new Observable(function (obs) {
+
+      var observer = new Observer(obs);
+      var subscription = new Subscription();
+      var buffer = [];
+
+      subscription.add(subscribeFor(obs, notifier, {
+
+        next: function () {
+          var values = buffer;
+          buffer = [];
+          observer.next(values);
+        },
+        error: function (err) {
+          observer.error(err);
+        }
+      }));
+
+      subscription.add(source.subscribe(bufferObserver(observer, function () {
+        return [buffer];
+      })));
+
+      return subscription;
+    }, 'buffer');
+  };
+}
+
+/**
+ * Collects values in arrays of size, a new one starting every values
+ * (size by default). Non-empty buffers are emitted when the source
+ * completes.
+ * 
+ * 0-1-2-3-4-|--->
+ * 
+ * bufferCount(2)
+ * 
+ * --[0,1]---[2,3]---([4]|)
+ * 
+ * bufferCount(2, 1)
+ * 
+ * --[0,1]-[1,2]-[2,3]-[3,4]-([4]|)
+ */
+function bufferCount(size, every) {
+
+  every = every || size;
+
+  return function (source) {
+
+    return new Observable(function (obs) {
+
+      var observer = new Observer(obs);
+      var buffers = [];
+      var count = 0;
+
+      return source.subscribe(bufferObserver(observer, function () {
+        return buffers;
+      }, function (value) {
+
+        if (count++ % every === 0) {
+          buffers.push([]);
+        }
+
+        buffers.forEach(function (buffer) {
+          buffer.push(value);
+        });
+
+        while (buffers.length > 0 && buffers[0].length === size) {
+          observer.next(buffers.shift());
+        }
+      }));
+    }, 'bufferCount');
+  };
+}
+
+/**
+ * Collects values, emitting them as an array every timeSpan, timed on the
+ * given scheduler (async by default). A non-empty buffer is emitted when
+ * the source completes.
+ * 
+ * 0-1-2-3-4-|--->
+ * 
+ * bufferTime(4)
+ * 
+ * ----[0,1]---[2,3,4]-|->
+ */
+function bufferTime(timeSpan, scheduler) {
+  return function (source) {
+    var byTime = buffer(Observable.interval(timeSpan, scheduler));
+
+    return named('bufferTime', byTime(source));
+  };
+}
+
+/**
+ * Collects values until the stream returned by closingSelector emits, then
+ * emits them as an array and starts again with a new closing stream
+ * 
+ * 0-1-2-3-4-5-|->
+ * 
+ * bufferWhen(() -> ---x)
+ * 
+ * ---[0,1]--[2,3]--[4]--([5]|)
+ */
+function bufferWhen(closingSelector) {
+
+  return function (source) {
+
+    return new Observable(function (obs) {
+
+      var observer = new Observer(obs);
+      var subscription = new Subscription();
+      var buffer = [];
+      var closing;
+
+      openBuffer();
+
+      subscription.add(source.subscribe(bufferObserver(observer, function () {
+        return [buffer];
+      })));
+
+      return subscription;
+
+      function openBuffer() {
+
+        var closingNotifier;
+
+        if (closing) {
+          subscription.remove(closing);
+          closing.dispose();
+        }
+
+        try {
+          closingNotifier = closingSelector();
+        } catch (err) {
+          observer.error(err);
+          return;
+        }
+
+        closing = subscription.add(subscribeFor(obs, closingNotifier, {
+
+          next: function () {
+            var values = buffer;
+            buffer = [];
+            observer.next(values);
+            openBuffer();
+          },
+          error: function (err) {
+            observer.error(err);
+          }
+        }));
+      }
+    }, 'bufferWhen');
+  };
+}
+
+/**
+ * Observer of the source of the buffer operators. Values go to every buffer
+ * given by getBuffers, unless push is given, and non-empty buffers are
+ * emitted on completion.
+ */
+function bufferObserver(observer, getBuffers, push) {
+
+  return new Observer({
+
+    next: push || function (value) {
+      getBuffers().forEach(function (buffer) {
+        buffer.push(value);
+      });
+    },
+    error: function (err) {
+      observer.error(err);
+    },
+    complete: function () {
+      getBuffers().forEach(function (buffer) {
+        if (buffer.length > 0) {
+          observer.next(buffer);
+        }
+      });
+      observer.complete();
+    }
+  });
+}
+
+/**
+ * Splits values into streams, a new one starting each time notifier emits
+ * 
+ * 0-1-2-3-4-5-|->
+ * 
+ * window(---x-----x--->)
+ * 
+ *    A--B-----C--|->
+ * A: 0-1|
+ * B:    -2-3-4|
+ * C:          -5-|
+ */
+function window(notifier) {
+
+  return function (source) {
+
+    return new Observable(function (obs) {
+
+      var observer = new Observer(obs);
+      var subscription = new Subscription();
+      var windows = [];
+
+      openWindow(windows, observer);
+
+      subscription.add(subscribeFor(obs, notifier, {
+
+        next: function () {
+          windows.shift().complete();
+          openWindow(windows, observer);
+        },
+        error: function (err) {
+          windowError(windows, observer, err);
+        }
+      }));
+
+      subscription.add(source.subscribe(windowObserver(windows, observer)));
+
+      return subscription;
+    }, 'window');
+  };
+}
+
+/**
+ * Splits values into streams of size values, a new one starting every
+ * values (size by default)
+ * 
+ * 0-1-2-3-4-|--->
+ * 
+ * windowCount(2)
+ * 
+ *    A-B---C---|--->
+ * A: 0-(1|)
+ * B:   --2-(3|)
+ * C:       --4-|
+ */
+function windowCount(size, every) {
+
+  every = every || size;
+
+  return function (source) {
+
+    return new Observable(function (obs) {
+
+      var observer = new Observer(obs);
+      var windows = [];
+      var count = 0;
+      var forward = windowObserver(windows, observer);
+
+      openWindow(windows, observer);
+
+      return subscribeFor(obs, source, {
+
+        next: function (value) {
+
+          forward.next(value);
+          count++;
+
+          if (count >= size && (count - size) % every === 0) {
+            windows.shift().complete();
+          }
+
+          if (count % every === 0) {
+            openWindow(windows, observer);
+          }
+        },
+        error: forward.error,
+        complete: forward.complete
+      });
+    }, 'windowCount');
+  };
+}
+
+/**
+ * Splits values into streams lasting timeSpan, timed on the given
+ * scheduler (async by default)
+ * 
+ * 0-1-2-3-4-|--->
+ * 
+ * windowTime(4)
+ * 
+ *    A---B---C-|--->
+ * A: 0-1-|
+ * B:     2-3-(4|)
+ * C:         --|
+ */
+function windowTime(timeSpan, scheduler) {
+  return function (source) {
+    var byTime = window(Observable.interval(timeSpan, scheduler));
+
+    return named('windowTime', byTime(source));
+  };
+}
+
+/**
+ * Starts a window and emits it as an observable
+ */
+function openWindow(windows, observer) {
+  var window = new Subject();
+  windows.push(window);
+  observer.next(window.asObservable());
+}
+
+function windowError(windows, observer, err) {
+  windows.splice(0).forEach(function (window) {
+    window.error(err);
+  });
+  observer.error(err);
+}
+
+/**
+ * Observer of the source of the window operators, forwarding values to
+ * every open window and ending them with the source
+ */
+function windowObserver(windows, observer) {
+
+  return new Observer({
+
+    next: function (value) {
+      windows.slice().forEach(function (window) {
+        window.next(value);
+      });
+    },
+    error: function (err) {
+      windowError(windows, observer, err);
+    },
+    complete: function () {
+      windows.splice(0).forEach(function (window) {
+        window.complete();
+      });
+      observer.complete();
+    }
+  });
+}
+
+/**
+ * Emits a value once dueTime has passed without another one, timed on the
+ * given scheduler (async by default). A pending value is emitted when the
+ * source completes.
+ * 
+ * -a-bc-----d-e-|--->
+ * 
+ * debounceTime(3)
+ * 
+ * -------c------(e|)>
+ */
+function debounceTime(dueTime, scheduler) {
+
+  scheduler = scheduler || Scheduler.async;
+
+  return function (source) {
+
+    return new Observable(function (obs) {
+
+      var observer = new Observer(obs);
+      var subscription = new Subscription();
+      var pending;
+      var lastValue;
+
+      subscription.add(subscribeFor(obs, source, {
+
+        next: function (value) {
+          lastValue = value;
+          cancel();
+          pending = subscription.add(scheduler.schedule(emit, dueTime));
+        },
+        error: function (err) {
+          observer.error(err);
+        },
+        complete: function () {
+          if (pending) {
+            emit();
+          }
+          observer.complete();
+        }
+      }));
+
+      return subscription;
+
+      function emit() {
+        cancel();
+        observer.next(lastValue);
+      }
+
+      function cancel() {
+        if (pending) {
+          subscription.remove(pending);
+          pending.dispose();
+          pending = undefined;
+        }
+      }
+    }, 'debounceTime');
+  };
+}
+
+/**
+ * Emits a value then ignores the next ones for duration, timed on the given
+ * scheduler (async by default). options.leading (true by default) emits the
+ * first value of a window, options.trailing (false by default) its last one,
+ * which then opens a new window.
+ * 
+ * -a-b-c----d-e-f-|->
+ * 
+ * throttleTime(4)
+ * 
+ * -a--------d-----|->
+ */
+function throttleTime(duration, options, scheduler) {
+
+  var leading = !options || options.leading !== false;
+  var trailing = !!(options && options.trailing);
+
+  scheduler = scheduler || Scheduler.async;
+
+  return function (source) {
+
+    return new Observable(function (obs) {
+
+      var observer = new Observer(obs);
+      var subscription = new Subscription();
+      var throttled;
+      var trailingValue;
+      var hasTrailingValue = false;
+
+      subscription.add(subscribeFor(obs, source, {
+
+        next: function (value) {
+
+          if (throttled) {
+            if (trailing) {
+              trailingValue = value;
+              hasTrailingValue = true;
+            }
+            return;
+          }
+
+          throttle();
+
+          if (leading) {
+            observer.next(value);
+          }
+          else if (trailing) {
+            trailingValue = value;
+            hasTrailingValue = true;
+          }
+        },
+        error: function (err) {
+          observer.error(err);
+        },
+        complete: function () {
+          if (hasTrailingValue) {
+            observer.next(trailingValue);
+          }
+          observer.complete();
+        }
+      }));
+
+      return subscription;
+
+      function throttle() {
+        throttled = subscription.add(scheduler.schedule(function () {
+
+          subscription.remove(throttled);
+          throttled = undefined;
+
+          if (hasTrailingValue) {
+            hasTrailingValue = false;
+            throttle();
+            observer.next(trailingValue);
+          }
+        }, duration));
+      }
+    }, 'throttleTime');
+  };
+}
+
+/**
+ * Emits the last value of a window of duration opened by a value, timed on
+ * the given scheduler (async by default)
+ * 
+ * -a-b-c----d-e-f-|->
+ * 
+ * auditTime(4)
+ * 
+ * -----c--------f-|->
+ */
+function auditTime(duration, scheduler) {
+
+  scheduler = scheduler || Scheduler.async;
+
+  return function (source) {
+
+    return new Observable(function (obs) {
+
+      var observer = new Observer(obs);
+      var subscription = new Subscription();
+      var window;
+      var lastValue;
+      var iscompleted = false;
+
+      subscription.add(subscribeFor(obs, source, {
+
+        next: function (value) {
+
+          lastValue = value;
+
+          if (!window) {
+            window = subscription.add(scheduler.schedule(function () {
+              subscription.remove(window);
+              window = undefined;
+              observer.next(lastValue);
+
+              if (iscompleted) {
+                observer.complete();
+              }
+            }, duration));
+          }
+        },
+        error: function (err) {
+          observer.error(err);
+        },
+        complete: function () {
+          iscompleted = true;
+          if (!window) {
+            observer.complete();
+          }
+        }
+      }));
+
+      return subscription;
+    }, 'auditTime');
+  };
+}
+
+/**
+ * Emits the last value every period, if there was a new one, timed on the
+ * given scheduler (async by default)
+ * 
+ * -a-b-c------d-e-f-|->
+ * 
+ * sampleTime(4)
+ * 
+ * ----b---c---d---f-|->
+ */
+function sampleTime(period, scheduler) {
+
+  scheduler = scheduler || Scheduler.async;
+
+  return function (source) {
+
+    return new Observable(function (obs) {
+
+      var observer = new Observer(obs);
+      var subscription = new Subscription();
+      var lastValue;
+      var hasValue = false;
+
+      subscription.add(scheduler.schedulePeriodic(function () {
+        if (hasValue) {
+          hasValue = false;
+          observer.next(lastValue);
+        }
+      }, period));
+
+      subscription.add(subscribeFor(obs, source, {
+
+        next: function (value) {
+          lastValue = value;
+          hasValue = true;
+        },
+        error: function (err) {
+          observer.error(err);
+        },
+        complete: function () {
+          observer.complete();
+        }
+      }));
+
+      return subscription;
+    }, 'sampleTime');
+  };
+}
+
+/**
+ * Shifts values and completion by dueTime, timed on the given scheduler
+ * (async by default). Errors are not delayed.
+ * 
+ * -a-b-c-|---->
+ * 
+ * delay(3)
+ * 
+ * ----a-b-c-|->
+ */
+function delay(dueTime, scheduler) {
+
+  scheduler = scheduler || Scheduler.async;
+
+  return function (source) {
+
+    return new Observable(function (obs) {
+
+      var observer = new Observer(obs);
+      var subscription = new Subscription();
+
+      subscription.add(subscribeFor(obs, source, {
+
+        next: function (value) {
+          later(function () {
+            observer.next(value);
+          });
+        },
+        error: function (err) {
+          observer.error(err);
+        },
+        complete: function () {
+          later(function () {
+            observer.complete();
+          });
+        }
+      }));
+
+      return subscription;
+
+      function later(work) {
+        var action = subscription.add(scheduler.schedule(function () {
+          subscription.remove(action);
+          work();
+        }, dueTime));
+      }
+    }, 'delay');
+  };
+}
+
+/**
+ * Replaces the source stream by the one returned by selector when it errors.
+ * selector gets the error and the resulting stream, returning the latter
+ * subscribes again to the source.
+ * 
+ * 0-1-#---------->
+ * 
+ * catchError(e -> from([8, 9]))
+ * 
+ * 0-1-(8 9|)------>
+ */
+function catchError(selector) {
+
+  return function (source) {
+
+    var caught = new Observable(function (obs) {
+
+      var observer = new Observer(obs);
+      var subscription = new Subscription();
+
+      subscription.add(subscribeFor(obs, source, {
+
+        next: function (value) {
+          observer.next(value);
+        },
+        error: function (err) {
+
+          var fallback;
+
+          try {
+            fallback = selector(err, caught);
+          } catch (selectorErr) {
+            observer.error(selectorErr);
+            return;
+          }
+
+          subscription.add(fallback.subscribe(observer));
+        },
+        complete: function () {
+          observer.complete();
+        }
+      }));
+
+      return subscription;
+    }, 'catchError');
+
+    return caught;
+  };
+}
+
+/**
+ * Subscribes again to the source when it errors, up to count times
+ * (forever without count)
+ * 
+ * 0-1-#
+ * 
+ * retry(2)
+ * 
+ * 0-1-0-1-0-1-#-->
+ */
+function retry(count) {
+
+  if (count === undefined) {
+    count = Infinity;
+  }
+
+  return function (source) {
+
+    return new Observable(function (obs) {
+
+      var observer = new Observer(obs);
+      var attempts = 0;
+
+      var resubscriber = obs.add(new Resubscriber(source, {
+
+        next: function (value) {
+          observer.next(value);
+        },
+        error: function (err) {
+          if (attempts < count) {
+            attempts++;
+            resubscriber.subscribe();
+          }
+          else {
+            observer.error(err);
+          }
+        },
+        complete: function () {
+          observer.complete();
+        }
+      }));
+
+      resubscriber.subscribe();
+
+      return resubscriber;
+    }, 'retry');
+  };
+}
+
+/**
+ * Subscribes again to the source each time the stream returned by notifier
+ * emits. notifier gets the stream of the source errors. The result completes
+ * or errors when the notifier stream does.
+ * 
+ * 0-1-#
+ * 
+ * retryWhen(errors -> errors.delay(1).take(2))
+ * 
+ * 0-1--0-1--|--->
+ */
+function retryWhen(notifier) {
+
+  return function (source) {
+
+    return new Observable(function (obs) {
+
+      var observer = new Observer(obs);
+      var errors = new Subject();
+      var retries;
+
+      try {
+        retries = notifier(errors.asObservable());
+      } catch (err) {
+        observer.error(err);
+        return;
+      }
+
+      var resubscriber = obs.add(new Resubscriber(source, {
+
+        next: function (value) {
+          observer.next(value);
+        },
+        error: function (err) {
+          errors.next(err);
+        },
+        complete: function () {
+          observer.complete();
+        }
+      }));
+
+      var subscription = new Subscription();
+
+      subscription.add(subscribeFor(obs, retries, {
+
+        next: function () {
+          resubscriber.subscribe();
+        },
+        error: function (err) {
+          observer.error(err);
+        },
+        complete: function () {
+          observer.complete();
+        }
+      }));
+
+      subscription.add(resubscriber);
+      resubscriber.subscribe();
+
+      return subscription;
+    }, 'retryWhen');
+  };
+}
+
+/**
+ * Subscription keeping one subscription to source at a time, for the retry
+ * operators. A subscribe call made while subscribing, when source errors
+ * synchronously, is run once the current one returns instead of nesting
+ * subscriptions.
+ */
+function Resubscriber(source, handlers) {
+
+  var self = this;
+  var subscription;
+  var issubscribing = false;
+  var shouldResubscribe = false;
+
+  Subscription.call(this, function () {
+    if (subscription) {
+      subscription.dispose();
+    }
+  });
+
+  this.subscribe = function () {
+
+    if (issubscribing) {
+      shouldResubscribe = true;
+      return;
+    }
+
+    issubscribing = true;
+
+    do {
+      shouldResubscribe = false;
+      if (!self.closed) {
+        if (subscription) {
+          subscription.dispose();
+        }
+        subscription = subscribeFor(self, source, handlers);
+      }
+    } while (shouldResubscribe && !self.closed);
+
+    issubscribing = false;
+  };
+}
+
+Resubscriber.prototype = Object.create(Subscription.prototype);
+Resubscriber.prototype.constructor = Resubscriber;
+
+
+/****************
+ * Multicasting *
+ ****************/
+
+/**
+ * Observable sharing one subscription to source between its subscribers,
+ * through a subject made by subjectFactory. Subscribers only get values once
+ * connect() has subscribed the subject to source.
+ *
+ * A stopped subject is replaced by a new one on next subscribe or connect,
+ * so that a completed connectable can be connected again.
+ */
+function ConnectableObservable(source, subjectFactory) {
+
+  var subject;
+  var connection;
+
+  Observable.call(this, function (obs) {
+    return getSubject().subscribe(obs);
+  });
+
+  /**
+   * Subscribes the subject to source, unless already connected. Disposing
+   * the returned subscription disconnects.
+   */
+  this.connect = function () {
+
+    if (!connection || connection.closed) {
+      connection = source.subscribe(getSubject());
+    }
+
+    return connection;
+  };
+
+  /**
+   * Returns an observable connecting on its first subscriber and
+   * disconnecting when the last one leaves
+   */
+  this.refCount = function () {
+
+    var connectable = this;
+    var count = 0;
+    var refConnection;
+
+    return new Observable(function (obs) {
+
+      var subscription = connectable.subscribe(obs);
+
+      count++;
+
+      subscription.add(function () {
+        count--;
+        if (count === 0 && refConnection) {
+          refConnection.dispose();
+          refConnection = undefined;
+        }
+      });
+
+      if (count === 1) {
+        refConnection = connectable.connect();
+      }
+
+      return subscription;
+    });
+  };
+
+  function getSubject() {
+    if (!subject || subject.isStopped) {
+      subject = subjectFactory();
+    }
+    return subject;
+  }
+}
+
+ConnectableObservable.prototype = Object.create(Observable.prototype);
+ConnectableObservable.prototype.constructor = ConnectableObservable;
+
+/**
+ * Shares the source through subjects made by subjectFactory
+ */
+function multicast(subjectFactory) {
+  return function (source) {
+    return named('multicast', new ConnectableObservable(source, subjectFactory));
+  };
+}
+
+/**
+ * Shares the source through a Subject, once connected
+ * 
+ * var published = interval(10).publish();
+ * published.subscribe(a);
+ * published.subscribe(b);
+ * published.connect(); // a and b get the same ticks from one timer
+ */
+function publish() {
+
+  return function (source) {
+
+    return named('publish', multicast(function () {
+      return new Subject();
+    })(source));
+  };
+}
+
+/**
+ * Connects a connectable source with its first subscriber and disconnects
+ * it with its last one, see ConnectableObservable refCount
+ */
+function refCount() {
+  return function (source) {
+    return named('refCount', source.refCount());
+  };
+}
+
+/**
+ * Shares the source while it has subscribers. The first subscriber
+ * subscribes to the source, the last one to leave disposes it, a later one
+ * subscribes again.
+ * 
+ * a: -0-1-2-3---->
+ * b:     2-3---->
+ * 
+ * share()
+ * 
+ * source subscribed once: -0-1-2-3---->
+ */
+function share() {
+  return function (source) {
+    return named('share', source.pipe(publish(), refCount()));
+  };
+}
+
+/**
+ * Shares the source and replays its last bufferSize values (no older than
+ * windowTime) to new subscribers, even after it completed. The source is
+ * subscribed once and kept subscribed, unless it errors, in which case the
+ * next subscriber subscribes again.
+ * 
+ * a: -0-1-2-|
+ * b:          (12|)
+ * 
+ * shareReplay(2)
+ */
+function shareReplay(bufferSize, windowTime, scheduler) {
+
+  return function (source) {
+
+    var subject;
+
+    return new Observable(function (obs) {
+
+      var isnew = !subject || subject.hasError;
+
+      if (isnew) {
+        subject = new ReplaySubject(bufferSize, windowTime, scheduler);
+      }
+
+      var subscription = subject.subscribe(obs);
 
-  var source = this;
+      if (isnew) {
+        source.subscribe(subject);
+      }
 
-  var toDo = new Observer({
-    next: next,
-    error: error,
-    complete: complete
-  });
+      return subscription;
+    }, 'shareReplay');
+  };
+}
 
-  return new Observable(function (obs) {
 
-    var observer = new Observer(obs);
+/***********
+ * Interop *
+ ***********/
 
-    var subscription = source.subscribe(new Observer({
+/**
+ * Key of the Observable proposal interop: other libraries get a stream they
+ * can subscribe to from obj[Symbol.observable](), and Observable.from takes
+ * their streams the same way
+ */
+var symbolObservable = typeof Symbol === 'function' && Symbol.observable || '@@observable';
 
-      next: function (value) {
-        toDo.next(value);
-        observer.next(value);
-      },
-      error: function (err) {
-        toDo.error(err);
-        observer.error(err);
-      },
-      complete: function () {
-        toDo.complete();
-        observer.complete();
-      }
-    }));
+Observable.prototype[symbolObservable] = function () {
+  return this;
+};
 
-    return new Subscription(function () {
-      subscription.dispose();
-    });
-  });
+/**
+ * Subjects are taken as streams too, by Observable.from and the functions
+ * built on it (defer, iif, using...)
+ */
+Subject.prototype[symbolObservable] = function () {
+  return this.asObservable();
 };
 
 /**
- * Takes last value of a stream
- * 
- * 0-1-2-3-4-5-|->
- * 
- * takeLast()
+ * Resolves with the last value once the stream completes (undefined if
+ * there is none), or rejects with its error
  * 
- * ------------5-|->
+ * -1-2-3-|-->  =>  3
  */
-Observable.prototype.takeLast = function () {
+Observable.prototype.toPromise = function () {
 
   var source = this;
 
-  return new Observable(function (obs) {
+  return new Promise(function (resolve, reject) {
 
-    var observer = new Observer(obs);
     var lastValue;
 
-    var subscription = source.subscribe(new Observer({
-
-      next: function (value) {
-        lastValue = value;
-      },
-      error: function (err) {
-        observer.error(err);
-      },
-      complete: function () {
-        observer.next(lastValue);
-        observer.complete();
-      }
-    }));
-
-    return new Subscription(function () {
-      subscription.dispose();
+    source.subscribe(function (value) {
+      lastValue = value;
+    }, reject, function () {
+      resolve(lastValue);
     });
   });
 };
 
 /**
- * Sums the values of a stream
- * 
- * 0-1-2-3-4-5-->
- * 
- * sum()
+ * Resolves with the first value of the stream, then disposes it. Rejects
+ * with an EmptyError when it completes without a value, unless
+ * options.defaultValue is given.
  * 
- * 0-1-3-6-10-15-->
+ * -1-2-3-|-->  =>  1
  */
-Observable.prototype.sum = function () {
-  var sum = 0;
-  return this.map(function (value) {
-    return sum += value;
-  });
+function firstValueFrom(source, options) {
+  return valueFrom(source, options && 'defaultValue' in options
+    ? first(null, options.defaultValue)
+    : first());
 }
 
 /**
- * Reduces the values of a stream
- * 
- * 0-1-2-3-4-5-|->
- * 
- * reduce()
+ * Resolves with the last value of the stream once it completes. Rejects
+ * with an EmptyError when there is none, unless options.defaultValue is given.
  * 
- * ------------15-|->
+ * -1-2-3-|-->  =>  3
  */
-Observable.prototype.reduce = function () {
-  return this.sum().takeLast();
+function lastValueFrom(source, options) {
+  return valueFrom(source, options && 'defaultValue' in options
+    ? last(null, options.defaultValue)
+    : last());
 }
 
-/**
- * Returns 1 for each value of a stream
- * 
- * 0-1-2-3-4-5-->
- * 
- * uno()
- * 
- * 1-1-1-1-1-1-->
- */
-Observable.prototype.uno = function () {
-  return this.map(function (value) {
-    return 1;
+function valueFrom(source, operator) {
+  return new Promise(function (resolve, reject) {
+    operator(source).subscribe(resolve, reject);
   });
 }
 
 /**
- * Counts the number of consumed values of a stream
- * 
- * 10-3-6-2-8-->
+ * Observables are async iterables, to be read with for await:
  * 
- * tic()
+ * for await (const value of Observable.interval(10).take(3)) { ... }
  * 
- * 1-2-3-4-5-->
+ * The stream is subscribed on the first call to next. Values coming while
+ * the loop is busy are buffered, without limit. Leaving the loop disposes
+ * the subscription.
  */
-Observable.prototype.tic = function () {
-  return this.uno().sum();
+Observable.prototype[Symbol.asyncIterator] = function () {
+  return observableIterator(this);
 };
 
 /**
- * Merges multiple streams
- * 
- * 3---4---4-|-------->
+ * Same as for await on the stream itself, with a backpressure strategy for
+ * the values coming while the loop is busy. The stream does not wait for
+ * the loop, whatever its source (an iterable read at the pace of the loop
+ * is to be iterated itself), so a fast stream fills the buffer:
  * 
- * merge(
- * --2---3---2-|------>,
- * --------------0-|-->
- * )
+ * options.bufferSize  values kept waiting (Infinity by default)
+ * options.strategy    what to do when the buffer is full:
+ *                     'dropOldest'  drops the oldest value (default)
+ *                     'dropNewest'  drops the value coming
+ *                     'latest'      keeps the latest value only, whatever
+ *                                   bufferSize
+ *                     'buffer'      disposes the stream, the loop throwing a
+ *                                   BufferOverflowError once the buffered
+ *                                   values are read
+ * options.onOverflow  called with each value dropped (or overflowing), to
+ *                     report or count them
  * 
- * 3-2-4-3-4-2---0-|->
+ * for await (const move of mouseMoves.toAsyncIterable({ strategy: 'latest' })) { ... }
  */
-Observable.prototype.merge = function () {
+Observable.prototype.toAsyncIterable = function (options) {
+
+  var source = this;
+  var iterable = {};
+
+  iterable[Symbol.asyncIterator] = function () {
+    return observableIterator(source, options);
+  };
+
+  return iterable;
+};
 
-  var observables = [this];
-  for (var i = 0; i < arguments.length; i++) {
-    observables.push(arguments[i]);
+function observableIterator(source, options) {
+
+  options = options || {};
+
+  var strategy = options.strategy || 'dropOldest';
+  var bufferSize = strategy === 'latest' ? 1
+    : options.bufferSize !== undefined ? options.bufferSize
+    : Infinity;
+
+  if (['dropOldest', 'dropNewest', 'latest', 'buffer'].indexOf(strategy) === -1) {
+    throw new Error('Unknown backpressure strategy \'' + strategy + '\'');
   }
 
-  var subscriptions = [];
-  var completeCount = 0;
+  var subscription;
+  var buffer = [];
+  var pending = [];
+  var isdone = false;
+  var hasError = false;
+  var thrownError;
 
-  return new Observable(function subscribe(obs) {
+  var iterator = {
 
-    var observer = new Observer(obs);
+    next: function () {
 
-    observables.forEach(function (source) {
-      subscriptions.push(source.subscribe(new Observer({
+      if (!subscription) {
+        subscription = source.subscribe({
+          next: push,
+          error: function (err) {
+            hasError = true;
+            thrownError = err;
+            stop();
+          },
+          complete: stop
+        });
 
-        next: function (value) {
-          observer.next(value);
-        },
-        error: function (err) {
-          observer.error(err);
-        },
-        complete: function () {
-          completeCount++;
-          if (completeCount === subscriptions.length) {
-            observer.complete();
-          }
+        // Overflowed while subscribing
+        if (isdone) {
+          subscription.dispose();
         }
-      })));
-    });
+      }
 
-    return new Subscription(function dispose() {
-      subscriptions.forEach(function (subscription) {
-        subscription.dispose();
+      if (buffer.length > 0) {
+        return Promise.resolve({ value: buffer.shift(), done: false });
+      }
+
+      if (isdone) {
+        return settled();
+      }
+
+      return new Promise(function (resolve, reject) {
+        pending.push({ resolve: resolve, reject: reject });
       });
-    });
-  });
-};
+    },
 
-/**
- * Merges all streams emitted by the source stream
- * 
- *  --A---B------------>
- * A: 0------2---|----->
- * B:     ------5---|-->
- * 
- * mergeAll()
- * 
- *  --0------2--5---|-->
- */
-Observable.prototype.mergeAll = function () {
+    return: function () {
+      isdone = true;
+      hasError = false;
+      buffer = [];
+      if (subscription) {
+        subscription.dispose();
+      }
+      stop();
+      return Promise.resolve({ value: undefined, done: true });
+    }
+  };
 
-  var source = this;
+  iterator[Symbol.asyncIterator] = function () {
+    return iterator;
+  };
 
-  return new Observable(function (obs) {
+  return iterator;
 
-    var observer = new Observer(obs);
-    var subscriptions = [];
-    var completeCount = 0;
+  function push(value) {
 
-    subscriptions.push(source.subscribe(new Observer({
+    if (isdone) {
+      return;
+    }
 
-      next: function (observable) {
+    if (pending.length > 0) {
+      pending.shift().resolve({ value: value, done: false });
+      return;
+    }
 
-        subscriptions.push(observable.subscribe(new Observer({
-          next: function (value) {
-            observer.next(value);
-          },
-          error: function (err) {
-            error(err);
-          },
-          complete: function () {
-            complete();
-          }
-        })));
-      },
-      error: function (err) {
-        error(err);
-      },
-      complete: function () {
-        complete();
-      }
-    })));
+    if (buffer.length < bufferSize) {
+      buffer.push(value);
+      return;
+    }
 
-    return new Subscription(function () {
-      subscriptions.forEach(function (subscription) {
-        subscription.dispose();
-      });
-    });
+    switch (strategy) {
+      case 'buffer':
+        if (subscription) {
+          subscription.dispose();
+        }
+        hasError = true;
+        thrownError = new BufferOverflowError(bufferSize);
+        stop();
+        overflow(value);
+        break;
+      case 'dropNewest':
+        overflow(value);
+        break;
+      default:
+        buffer.push(value);
+        overflow(buffer.shift());
+    }
+  }
 
-    function error(err) {
-      observer.error(err);
+  function overflow(value) {
+    if (options.onOverflow) {
+      options.onOverflow(value);
     }
+  }
 
-    function complete() {
-      completeCount++;
-      if (completeCount === subscriptions.length) {
-        observer.complete();
-      }
+  function stop() {
+
+    isdone = true;
+
+    pending.splice(0).forEach(function (request) {
+      settled().then(request.resolve, request.reject);
+    });
+  }
+
+  // Once done, the error is thrown once, then the iterator is finished
+  function settled() {
+
+    if (hasError) {
+      hasError = false;
+      return Promise.reject(thrownError);
     }
-  });
-};
 
-/**
- * Transform values of source bservables into new observables and merges them.
- * 
- * 0-1-|-------->
- * 
- * mergeMap(x -> from([x, x*2]))
- * 
- * 0-0-1-2-|---->
- */
-Observable.prototype.mergeMap = function (mergeMap) {
-  return this.map(mergeMap).mergeAll();
-};
+    return Promise.resolve({ value: undefined, done: true });
+  }
+}
+
 
 /**
- * Joins all values in a single array
+ * Writes the source values to a Node Writable stream and emits each one
+ * once the stream has written it (its write callback called). Values coming
+ * while the stream asks to wait for 'drain' are kept, then written when it
+ * drains. The stream is ended when the source completes (unless options.end
+ * is false), the result completing once every value has been written.
  * 
- * 0-1-2-3-|---->
+ * -a-b-c-|---->
  * 
- * join()
+ * toWritable(fs.createWriteStream(path))
  * 
- * -------[0,1,2,3]-|->
+ * -a-b-c-|---->
  */
-Observable.prototype.join = function () {
+function toWritable(writable, options) {
 
-  var source = this;
-  var values = [];
+  var end = !options || options.end !== false;
 
-  return new Observable(function (obs) {
+  return function (source) {
 
-    var observer = new Observer(obs);
+    return new Observable(function (obs) {
 
-    var subscription = source.subscribe(new Observer({
+      var observer = new Observer(obs);
+      var subscription = new Subscription();
+      var queue = [];
+      var writing = 0;
+      var isdraining = false;
+      var iscompleted = false;
+      var isfinishing = false;
 
-      next: function (value) {
-        values.push(value);
-      },
-      error: function (err) {
+      var onDrain = function () {
+
+        isdraining = false;
+
+        while (!isdraining && queue.length > 0) {
+          write(queue.shift());
+        }
+
+        if (!isdraining && iscompleted) {
+          finish();
+        }
+      };
+
+      var onError = function (err) {
         observer.error(err);
-      },
-      complete: function () {
-        observer.next(values);
-        observer.complete();
+      };
+
+      writable.on('drain', onDrain);
+      writable.on('error', onError);
+
+      subscription.add(function () {
+        writable.removeListener('drain', onDrain);
+        writable.removeListener('error', onError);
+      });
+
+      subscription.add(subscribeFor(obs, source, {
+
+        next: function (value) {
+          if (isdraining) {
+            queue.push(value);
+          }
+          else {
+            write(value);
+          }
+        },
+        error: function (err) {
+          observer.error(err);
+        },
+        complete: function () {
+          iscompleted = true;
+          if (!isdraining) {
+            finish();
+          }
+        }
+      }));
+
+      return subscription;
+
+      function write(value) {
+
+        writing++;
+
+        // A failed write is reported by the 'error' event
+        isdraining = !writable.write(value, function (err) {
+
+          writing--;
+
+          if (err) {
+            return;
+          }
+
+          observer.next(value);
+
+          if (isfinishing && !end && writing === 0) {
+            observer.complete();
+          }
+        });
       }
-    }));
 
-    return new Subscription(function () {
-      subscription.dispose();
-    });
-  });
+      function finish() {
+
+        isfinishing = true;
+
+        if (end) {
+          writable.end(function () {
+            observer.complete();
+          });
+        }
+        else if (writing === 0) {
+          observer.complete();
+        }
+      }
+    }, 'toWritable');
+  };
+}
+
+
+/************************
+ * Operators as methods *
+ ************************/
+
+/**
+ * Every operator is also a method of Observable, applying it to the
+ * observable it is called on:
+ *
+ * Observable.interval(10).filter(x => x % 2).take(3)
+ * Observable.interval(10).pipe(filter(x => x % 2), take(3))
+ */
+var methods = {
+  take: take,
+  takeWhile: takeWhile,
+  takeUntil: takeUntil,
+  skip: skip,
+  skipWhile: skipWhile,
+  skipUntil: skipUntil,
+  first: first,
+  last: last,
+  elementAt: elementAt,
+  filter: filter,
+  map: map,
+  distinct: distinct,
+  distinctUntilChanged: distinctUntilChanged,
+  distinctUntilKeyChanged: distinctUntilKeyChanged,
+  pairwise: pairwise,
+  do: tap,
+  tap: tap,
+  tag: tag,
+  debug: debug,
+  takeLast: takeLast,
+  scan: scan,
+  reduce: reduce,
+  sum: sum,
+  count: count,
+  min: min,
+  max: max,
+  average: average,
+  toArray: toArray,
+  groupBy: groupBy,
+  uno: uno,
+  tic: tic,
+  merge: merge,
+  mergeAll: mergeAll,
+  mergeMap: mergeMap,
+  concatAll: concatAll,
+  concatMap: concatMap,
+  switchAll: switchAll,
+  switchMap: switchMap,
+  exhaustAll: exhaustAll,
+  exhaustMap: exhaustMap,
+  join: join,
+  combineLatest: combineLatest,
+  zip: zip,
+  forkJoin: forkJoin,
+  concat: concat,
+  race: race,
+  withLatestFrom: withLatestFrom,
+  buffer: buffer,
+  bufferCount: bufferCount,
+  bufferTime: bufferTime,
+  bufferWhen: bufferWhen,
+  window: window,
+  windowCount: windowCount,
+  windowTime: windowTime,
+  debounceTime: debounceTime,
+  throttleTime: throttleTime,
+  auditTime: auditTime,
+  sampleTime: sampleTime,
+  delay: delay,
+  catchError: catchError,
+  retry: retry,
+  retryWhen: retryWhen,
+  multicast: multicast,
+  publish: publish,
+  share: share,
+  shareReplay: shareReplay,
+  toWritable: toWritable
 };
 
+Object.keys(methods).forEach(function (name) {
+  Observable.prototype[name] = function () {
+    return methods[name].apply(null, arguments)(this);
+  };
+});
+
 
-export { Observable, Subscription, Observer, Subject };
+export { Observable, Subscription, DisposeError, EmptyError, ArgumentOutOfRangeError, Observer, SafeSubscriber, Subject, BehaviorSubject, ReplaySubject, AsyncSubject, BufferOverflowError, ConnectableObservable, Scheduler, TestScheduler, config, firstValueFrom, lastValueFrom };
+
+export {
+  pipe, take, takeWhile, takeUntil, skip, skipWhile, skipUntil, first, last,
+  elementAt, filter, map, distinct, distinctUntilChanged,
+  distinctUntilKeyChanged, pairwise, tap, tag, debug, takeLast, scan, reduce,
+  sum, count, min, max, average, toArray, groupBy, uno, tic, merge, mergeAll,
+  mergeMap, concatAll, concatMap, switchAll, switchMap, exhaustAll, exhaustMap,
+  join, combineLatest, zip, forkJoin, concat, race, withLatestFrom, buffer,
+  bufferCount, bufferTime, bufferWhen, window, windowCount, windowTime,
+  debounceTime, throttleTime, auditTime, sampleTime, delay, catchError, retry,
+  retryWhen, multicast, publish, share, shareReplay, refCount, toWritable
+};
@@ -1,425 +1,251 @@
-export { of, from, range };
-
-
-'use strict';
-
-/**************
- * Observable *
- **************/
-
-function observableFactory(subscribeHandler) {
-
-  return (function() {
-
-    var self = this;
-
-    this.take = function(n) {
-      return take(self, n);
-    };
-
-    this.map = function(mapHandler) {
-      return map(self, mapHandler);
-    }
-
-    this.filter = function(filterHandler) {
-      return filter(self, filterHandler);
-    };
-
-    return this;
-
-  }).call({
-    subscribe: function (observer) {
-      return subscribeHandler(observer);
-    }
-  });
-}
-
-
-/****************
- * Subscription *
- ****************/
-
-function subscriptionFactory(disposeHandler) {
-  return {
-    dispose: function () {
-      disposeHandler();
-    }
-  };
-}
-
-
-/************
- * Observer *
- ************/
-
-function observerFactory(handlers) {
-
-  // var handlers;
-
-  // if(typeof handlersOrNext === 'function') {
-  //   handlers = {
-  //     next: handlersOrNext,
-  //     error: error,
-  //     complete: complete
-  //   };
-  // }
-  // else {
-  //   handlers = handlersOrNext;
-  // }
-
-  return {
-    next: function (value) {
-      if (handlers.next) {
-        handlers.next(value);
-      }
-    },
-    error: function (error) {
-      if (handlers.error) {
-        handlers.error(error);
-      }
-    },
-    complete: function () {
-      if (handlers.complete) {
-        handlers.complete();
-      }
-    }
-  };
-}
-
-
-/***********
- * Subject *
- ***********/
-
-function subjectFactory() {
-
-  var observers = [];
-
-  return {
-
-    next: function (value) {
-      observers.forEach(function (observer) {
-        observer.next(value);
-      });
-    },
-    error: function (err) {
-      observers.forEach(function (observer) {
-        observer.error(err);
-      });
-    },
-    complete: function () {
-      observers.forEach(function (observer) {
-        observer.complete();
-      });
-    },
-    asObservable: function () {
-      return observableFactory(function (obs) {
-        return subscribe(obs);
-      });
-    },
-    subscribe: function (obs) {
-      return subscribe(obs);
-    }
-  };
-
-  function subscribe(obs) {
-    var observer = observableFactory(obs);
-    observers.push(observer);
-
-    return subscriptionFactory(function dispose() {
-      observers = observers.filter(function (obs) {
-        return obs !== observer;
-      });
-    });
-  }
-}
-
-/**********************
- * Creation functions *
- **********************/
-
-/**
- * Creates an empty stream
- * 
- * ------------------>
- */
-function empty() {
-  var isdisposed = false;
-
-  return observableFactory(function (obs) {
-
-    var observer = observerFactory(obs);
-
-    observer.complete();
-
-    return subscriptionFactory(function () {
-      if (!isdisposed) {
-        isdisposed = true;
-      }
-    });
-  });
-};
-
-/**
- * Creates an one valued stream
- * 
- * of(5)
- * 
- * -5-|------------------> 
- */
-function of(value) {
-
-  var isdisposed = false;
-
-  return observableFactory(function (obs) {
-
-    var observer = observerFactory(obs);
-
-    setTimeout(function () {
-      observer.next(value);
-      observer.complete();
-    }, 0);
-
-    return subscriptionFactory(function () {
-      if (!isdisposed) {
-        isdisposed = true;
-      }
-    });
-  });
-};
-
-/**
- * Creates a stream from an array
- * 
- * from([3,8,5,1])
- * 
- * -3-8-5-1-|--------> 
- */
-function from(values) {
-
-  var isdisposed = false;
-
-  return observableFactory(function (obs) {
-
-    var observer = observerFactory(obs);
-
-    setTimeout(function () {
-
-      values.forEach(function (value) {
-        if (!isdisposed) {
-          observer.next(value);
-        }
-      });
-
-      if (!isdisposed) {
-        observer.complete();
-      }
-    }, 0);
-
-    return subscriptionFactory(function () {
-      if (!isdisposed) {
-        isdisposed = true;
-      }
-    });
-  });
-};
-
-/**
- * Creates a stream from a range
- * 
- * range(4,8)
- * 
- * -4-5-6-7-8-|--->
- */
-function range(min, max) {
-
-  var values = [];
-
-  for (var i = min; i <= max; i++) {
-    values.push(i);
-  }
-  return from(values);
-}
-
-/**
- * Creates a stream from interval
- * 
- * -0-1-2-3-4-5-6----->
- */
-function interval(period) {
-
-  var intervalHandler;
-  var isdisposed = false;
-
-  return observableFactory(function (obs) {
-
-    var observer = observerFactory(obs);
-    var i = 0;
-
-    intervalHandler = setInterval(function () {
-      observer.next(i);
-      i++;
-    }, period);
-
-    return subscriptionFactory(function () {
-      if (!isdisposed) {
-        clearInterval(intervalHandler);
-        isdisposed = true;
-      }
-    });
-  });
-};
-
-
-/**
- * Creates a stream from an event
- */
-function fromEvent(element, eventName) {
-
-  var eventHandler;
-  var isdisposed = false;
-
-  return observableFactory(function (obs) {
-
-    var observer = observerFactory(obs);
-
-    eventHandler = function (event) {
-      observer.next(event)
-    }
-
-    element.addEventListener(eventName, eventHandler);
-
-    return subscriptionFactory(function () {
-
-      if (!isdisposed) {
-        element.removeEventListener(eventName, eventHandler);
-        isdisposed = true;
-      }
-    });
-  });
-}
-
-
-/************************
- * Observable operators *
- ************************/
-
-/**
- * Takes n first values then disposes the source observable
- * 
- * 0-1-2-3-4-5--->
- * 
- *   take(3)
- * 
- * 0-1-2-|------->
- * 
- */
-function take(source, n) {
-
-  return observableFactory(function (obs) {
-
-    var observer = observerFactory(obs);
-    var i = 0;
-
-    var subscription = source.subscribe(observerFactory({
-
-      next: function (value) {
-
-        if (i < n - 1) {
-          observer.next(value);
-        }
-
-        if (i === n - 1) {
-          observer.next(value);
-          observer.complete();
-          subscription.dispose();
-        }
-
-        i++;
-      },
-      error: function (err) {
-        observer.error(err);
-      },
-      complete: function () {
-        observer.complete();
-      }
-    }));
-
-    return subscriptionFactory(function () {
-      subscription.dispose();
-    });
-  });
-};
-
-/**
- * Maps each resulting value from stream
- * 
- * 0-1-2-3-4-5--->
- * 
- * map(x -> x * 2)
- * 
- * 0-2-4-6-8-10--->
- */
-function map(source, map) {
-
-  return observableFactory(function (obs) {
-
-    var observer = observerFactory(obs);
-
-    var subscription = source.subscribe(observerFactory({
-
-      next: function (value) {
-        observer.next(map(value));
-      },
-      error: function (err) {
-        observer.error(err);
-      },
-      complete: function () {
-        observer.complete();
-      }
-    }));
-
-    return subscriptionFactory(function () {
-      subscription.dispose();
-    });
-  });
-};
-
-
-/**
- * Filters value from source stream
- * 
- * -5-9-2-7-3-4---->
- * 
- * filter(x -> x > 4)
- *  
- * -5-9---7-------->
- */
-function filter (source, test) {
-
-  return observableFactory(function (obs) {
-
-    var observer = observerFactory(obs);
-
-    var subscription = source.subscribe(observerFactory({
-
-      next: function (value) {
-
-        if (test(value)) {
-          observer.next(value);
-        }
-      },
-      error: function (err) {
-        observer.error(err);
-      },
-      complete: function () {
-        observer.complete();
-      }
-    }));
-
-    return subscriptionFactory(function () {
-      subscription.dispose();
-    });
-  });
-};
-
+export { observableFactory, subscriptionFactory, observerFactory, subjectFactory, empty, throwError, of, from, range, interval, fromEvent, timer, generate, defer, iif, using, fromPromise, fromAsyncIterable, fromReadable, combineLatest, zip, forkJoin, concat, race };
+
+
+'use strict';
+
+/**
+ * Factory style API over the core of reactive.js: everything built here is
+ * an Observable, Subscription, Observer or Subject of reactive.js, so it has
+ * the full operator set (as methods or through pipe) and can be combined
+ * with streams built with the constructors.
+ * 
+ * interval(1000).merge(Observable.fromEvent(btn, 'click')).take(5)
+ */
+
+import { Observable, Observer, Subject, Subscription } from './reactive.js';
+
+
+/**************
+ * Observable *
+ **************/
+
+function observableFactory(subscribeHandler) {
+  return new Observable(subscribeHandler);
+}
+
+
+/****************
+ * Subscription *
+ ****************/
+
+function subscriptionFactory(disposeHandler) {
+  return new Subscription(disposeHandler);
+}
+
+
+/************
+ * Observer *
+ ************/
+
+function observerFactory(handlers) {
+  return new Observer(handlers);
+}
+
+
+/***********
+ * Subject *
+ ***********/
+
+function subjectFactory() {
+  return new Subject();
+}
+
+
+/**********************
+ * Creation functions *
+ **********************/
+
+/**
+ * Creates an empty stream
+ * 
+ * ------------------>
+ */
+function empty(scheduler) {
+  return Observable.empty(scheduler);
+}
+
+/**
+ * Creates a stream erroring right away
+ * 
+ * #------------------>
+ */
+function throwError(err, scheduler) {
+  return Observable.throwError(err, scheduler);
+}
+
+/**
+ * Creates a stream of the given values
+ * 
+ * of(5, 6, 7)
+ * 
+ * -(567|)---------------->
+ */
+function of() {
+  return Observable.of.apply(null, arguments);
+}
+
+/**
+ * Creates a stream from an array
+ * 
+ * from([3,8,5,1])
+ * 
+ * -3-8-5-1-|-------->
+ */
+function from(values, scheduler) {
+  return Observable.from(values, scheduler);
+}
+
+/**
+ * Creates a stream from a range
+ * 
+ * range(4,8)
+ * 
+ * -4-5-6-7-8-|--->
+ */
+function range(min, max, scheduler) {
+  return Observable.range(min, max, scheduler);
+}
+
+/**
+ * Creates a stream from interval
+ * 
+ * -0-1-2-3-4-5-6----->
+ */
+function interval(period, scheduler) {
+  return Observable.interval(period, scheduler);
+}
+
+/**
+ * Creates a stream from an event
+ */
+function fromEvent(element, eventName) {
+  return Observable.fromEvent(element, eventName);
+}
+
+/**
+ * Creates a stream emitting 0 after dueTime, then every period when given
+ * 
+ * ---0-1-2-3-4-->
+ */
+function timer(dueTime, period, scheduler) {
+  return Observable.timer(dueTime, period, scheduler);
+}
+
+/**
+ * Creates a stream as a for loop would
+ * 
+ * generate(1, x -> x < 50, x -> x * 3)
+ * 
+ * -1-3-9-27-|------>
+ */
+function generate(initialState, condition, iterate, scheduler) {
+  return Observable.generate(initialState, condition, iterate, scheduler);
+}
+
+/**
+ * Creates the stream for each subscriber
+ */
+function defer(factory) {
+  return Observable.defer(factory);
+}
+
+/**
+ * Chooses the stream at subscription time
+ */
+function iif(condition, trueResult, falseResult) {
+  return Observable.iif(condition, trueResult, falseResult);
+}
+
+/**
+ * Ties a resource to the subscription
+ */
+function using(resourceFactory, observableFactory) {
+  return Observable.using(resourceFactory, observableFactory);
+}
+
+/**
+ * Creates a stream from a promise
+ * 
+ * -5|---------------->
+ */
+function fromPromise(promise) {
+  return Observable.fromPromise(promise);
+}
+
+/**
+ * Creates a stream from an async iterable
+ * 
+ * --0--1--2--|------->
+ */
+function fromAsyncIterable(iterable) {
+  return Observable.fromAsyncIterable(iterable);
+}
+
+/**
+ * Creates a stream from the chunks of a Node Readable stream
+ * 
+ * -chunk-chunk-chunk-|-->
+ */
+function fromReadable(stream) {
+  return Observable.fromReadable(stream);
+}
+
+
+/*************************
+ * Combination functions *
+ *************************/
+
+/**
+ * Emits the latest value of each stream whenever one of them emits
+ * 
+ * combineLatest(a, b)
+ * 
+ * ---[a1]-[a2]-[b2]-->
+ */
+function combineLatest() {
+  return Observable.combineLatest.apply(null, arguments);
+}
+
+/**
+ * Emits the n-th values of all streams together
+ * 
+ * zip(a, b)
+ * 
+ * ---[a1]-[b2]-|->
+ */
+function zip() {
+  return Observable.zip.apply(null, arguments);
+}
+
+/**
+ * Emits the last values of all streams together once they all completed
+ * 
+ * forkJoin(a, b)
+ * 
+ * ---------([c3]|)
+ */
+function forkJoin() {
+  return Observable.forkJoin.apply(null, arguments);
+}
+
+/**
+ * Plays streams one after the other
+ * 
+ * concat(a, b)
+ * 
+ * -a-b---1-2-|->
+ */
+function concat() {
+  return Observable.concat.apply(null, arguments);
+}
+
+/**
+ * Mirrors the first stream to emit
+ * 
+ * race(a, b)
+ * 
+ * --1---2---3-->
+ */
+function race() {
+  return Observable.race.apply(null, arguments);
+}
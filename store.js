@@ -0,0 +1,248 @@
+/**
+ * State store on top of the subjects of reactive.js
+ */
+
+'use strict';
+
+import { Observable, BehaviorSubject, Subject, distinctUntilChanged, filter, map, mergeMap } from './reactive.js';
+
+/**
+ * Action dispatched on creation, for reducers to give their initial state
+ */
+var INIT = { type: '@@init' };
+
+/*********
+ * Store *
+ *********/
+
+/**
+ * Holds a state changed only by dispatching actions through reducer, a
+ * function (state, action) -> new state, or an object of reducers each
+ * owning the key of the state it is set on.
+ *
+ * var store = new Store({
+ *   count: (count = 0, action) => action.type === 'add' ? count + action.value : count
+ * });
+ *
+ * store.select(state => state.count).subscribe(render);  // 0
+ * store.dispatch({ type: 'add', value: 2 });              // 2
+ *
+ * options.historySize  states kept for time travel (100 by default)
+ */
+function Store(reducer, initialState, options) {
+
+  var self = this;
+  var reduce = typeof reducer === 'function' ? reducer : combineReducers(reducer);
+  var historySize = options && options.historySize !== undefined
+    ? options.historySize
+    : 100;
+
+  var state = new BehaviorSubject(reduce(initialState, INIT));
+  var actions = new Subject();
+  var selectorSelections = new WeakMap();
+  var keySelections = new Map();
+  var queue = [];
+  var isdispatching = false;
+  var history = [{ action: INIT, state: state.getValue() }];
+  var cursor = 0;
+
+  /**
+   * Current state, given to each new subscriber then on every change
+   */
+  this.state$ = state.asObservable();
+
+  /**
+   * Actions dispatched, once the state has been reduced
+   */
+  this.actions$ = actions.asObservable();
+
+  this.getState = function () {
+    return state.getValue();
+  };
+
+  /**
+   * Reduces the state with action then emits it. Actions dispatched while
+   * dispatching (by subscribers or effects) are queued and run next.
+   */
+  this.dispatch = function (action) {
+
+    queue.push(action);
+
+    if (isdispatching) {
+      return;
+    }
+
+    isdispatching = true;
+
+    try {
+      while (queue.length > 0) {
+        run(queue.shift());
+      }
+    } catch (err) {
+      queue = [];
+      throw err;
+    } finally {
+      isdispatching = false;
+    }
+  };
+
+  /**
+   * Returns the stream of a part of the state, selected by a function of
+   * the state or by a key of it. It only emits when the part changes, and
+   * the same stream is returned for the same selector: the one of a
+   * function is kept only as long as the function itself, so an inline
+   * arrow function gets a new stream on every call, hoist it to share one.
+   *
+   * -{count:0}-{count:1,x:1}-{count:1,x:2}-{count:2}->
+   *
+   * select('count')
+   *
+   * -0-1---2->
+   */
+  this.select = function (selector) {
+
+    var selections = typeof selector === 'function'
+      ? selectorSelections
+      : keySelections;
+
+    if (!selections.has(selector)) {
+      selections.set(selector, self.state$.pipe(
+        map(memoize(typeof selector === 'function'
+          ? selector
+          : function (value) {
+            return value[selector];
+          })),
+        distinctUntilChanged()
+      ));
+    }
+
+    return selections.get(selector);
+  };
+
+  /**
+   * Maps each action of type to a stream of new actions, dispatched as they
+   * come. project gets the action and the state, and can return an
+   * observable, an array or a promise. Disposing the returned subscription
+   * stops the effect.
+   *
+   * store.effect('load', action =>
+   *   Observable.fromPromise(fetchItems()).map(items => ({ type: 'loaded', items })));
+   */
+  this.effect = function (type, project) {
+
+    return self.actions$
+      .pipe(
+        filter(function (action) {
+          return action.type === type;
+        }),
+        mergeMap(function (action) {
+          return Observable.defer(function () {
+            return project(action, state.getValue());
+          });
+        })
+      )
+      .subscribe(function (action) {
+        self.dispatch(action);
+      });
+  };
+
+  /**
+   * Returns the actions dispatched with the state they led to, the oldest
+   * first (the initial state coming with the '@@init' action)
+   */
+  this.history = function () {
+    return history.map(function (entry, index) {
+      return { action: entry.action, state: entry.state, isCurrent: index === cursor };
+    });
+  };
+
+  /**
+   * Puts the store back to the state of the history entry at index, without
+   * dispatching. Dispatching from there forgets the entries after it.
+   */
+  this.jumpTo = function (index) {
+
+    if (index < 0 || index >= history.length) {
+      throw new RangeError('No history entry at ' + index);
+    }
+
+    cursor = index;
+    state.next(history[cursor].state);
+  };
+
+  this.undo = function () {
+    if (cursor > 0) {
+      self.jumpTo(cursor - 1);
+    }
+  };
+
+  this.redo = function () {
+    if (cursor < history.length - 1) {
+      self.jumpTo(cursor + 1);
+    }
+  };
+
+  function run(action) {
+
+    var newState = reduce(state.getValue(), action);
+
+    history = history.slice(0, cursor + 1);
+    history.push({ action: action, state: newState });
+
+    if (history.length > historySize) {
+      history = history.slice(history.length - historySize);
+    }
+
+    cursor = history.length - 1;
+
+    state.next(newState);
+    actions.next(action);
+  }
+}
+
+/**
+ * Makes one reducer of an object of reducers, each one reducing the key of
+ * the state it is set on. The state object is kept when no key changed.
+ */
+function combineReducers(reducers) {
+
+  var keys = Object.keys(reducers);
+
+  return function (state, action) {
+
+    var current = state || {};
+    var next = {};
+    var haschanged = false;
+
+    keys.forEach(function (key) {
+      next[key] = reducers[key](current[key], action);
+      haschanged = haschanged || next[key] !== current[key];
+    });
+
+    return haschanged || !state ? next : state;
+  };
+}
+
+/**
+ * Keeps the last result of selector, computed again only for a new state
+ */
+function memoize(selector) {
+
+  var hasResult = false;
+  var lastState;
+  var lastResult;
+
+  return function (state) {
+
+    if (!hasResult || state !== lastState) {
+      lastResult = selector(state);
+      lastState = state;
+      hasResult = true;
+    }
+
+    return lastResult;
+  };
+}
+
+
+export { Store, combineReducers };
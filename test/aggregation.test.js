@@ -0,0 +1,184 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Observable } from '../reactive.js';
+import { MarbleTester } from '../testing.js';
+
+var numbers = { 1: 1, 2: 2, 3: 3, 4: 4, 5: 5, 6: 6, 7: 7, 8: 8, 9: 9 };
+
+function add(acc, x) {
+  return acc + x;
+}
+
+
+/****************
+ * scan, reduce *
+ ****************/
+
+test('scan emits each accumulation, from the seed when given', function () {
+  MarbleTester.run(function (tester) {
+
+    var source = tester.cold('-1-2-3-|', numbers);
+
+    tester.expectObservable(source.scan(add)).toBe('-1-3-6-|', numbers);
+    tester.expectObservable(source.scan(add, 10)).toBe('-a-b-c-|', { a: 11, b: 13, c: 16 });
+  });
+});
+
+test('scan starts from the seed again for each subscriber', function () {
+  MarbleTester.run(function (tester) {
+
+    var collected = tester.cold('-a-b|').scan(function (acc, x) {
+      return acc.concat(x);
+    }, []);
+
+    tester.expectObservable(collected).toBe('-x-y|', { x: ['a'], y: ['a', 'b'] });
+    tester.expectObservable(collected, '--^').toBe('---x-y|', { x: ['a'], y: ['a', 'b'] });
+  });
+});
+
+test('reduce emits the accumulation on completion', function () {
+  MarbleTester.run(function (tester) {
+
+    var source = tester.cold('-1-2-3-|', numbers);
+
+    tester.expectObservable(source.reduce(add)).toBe('-------(6|)', numbers);
+    tester.expectObservable(source.reduce(add, 10)).toBe('-------(x|)', { x: 16 });
+    tester.expectObservable(source.reduce()).toBe('-------(6|)', numbers);
+  });
+});
+
+test('reduce of an empty stream emits the seed, or nothing without one', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('--|').reduce(add, 0)).toBe('--(x|)', { x: 0 });
+    tester.expectObservable(tester.cold('--|').reduce(add)).toBe('--|');
+  });
+});
+
+
+/*************************************
+ * count, min, max, average, toArray *
+ *************************************/
+
+test('count counts the values passing predicate, all by default', function () {
+  MarbleTester.run(function (tester) {
+
+    var source = tester.cold('-1-6-2-8-|', numbers);
+
+    tester.expectObservable(source.count()).toBe('---------(4|)', numbers);
+    tester.expectObservable(source.count(function (x) {
+      return x > 5;
+    })).toBe('---------(2|)', numbers);
+    tester.expectObservable(tester.cold('-|').count()).toBe('-(x|)', { x: 0 });
+  });
+});
+
+test('min and max compare with < and >, or with comparer', function () {
+  MarbleTester.run(function (tester) {
+
+    var source = tester.cold('-3-1-9-4-|', numbers);
+
+    function reversed(a, b) {
+      return b - a;
+    }
+
+    tester.expectObservable(source.min()).toBe('---------(1|)', numbers);
+    tester.expectObservable(source.max()).toBe('---------(9|)', numbers);
+    tester.expectObservable(source.min(reversed)).toBe('---------(9|)', numbers);
+    tester.expectObservable(source.max(reversed)).toBe('---------(1|)', numbers);
+  });
+});
+
+test('average emits the mean, nothing for an empty stream', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-1-2-6-|', numbers).average()).toBe('-------(3|)', numbers);
+    tester.expectObservable(tester.cold('--|').average()).toBe('--|');
+  });
+});
+
+test('toArray emits the values of each subscription in a new array', function () {
+  MarbleTester.run(function (tester) {
+
+    var arrays = tester.cold('-a-b|').toArray();
+
+    tester.expectObservable(arrays).toBe('----(x|)', { x: ['a', 'b'] });
+    tester.expectObservable(arrays, '--^').toBe('------(x|)', { x: ['a', 'b'] });
+    tester.expectObservable(tester.cold('--|').toArray()).toBe('--(x|)', { x: [] });
+  });
+});
+
+
+/***********
+ * groupBy *
+ ***********/
+
+/**
+ * Collects the groups of observable as { key: values }
+ */
+function groups(observable, scheduler) {
+
+  var values = {};
+
+  observable.subscribe(function (group) {
+    values[group.key] = [];
+    group.subscribe(function (value) {
+      values[group.key].push(value);
+    }, function (err) {
+      values[group.key].push('#' + err);
+    }, function () {
+      values[group.key].push('|');
+    });
+  }, function () {});
+
+  scheduler.flush();
+
+  return values;
+}
+
+test('groupBy emits a group per key, ending with the source', function () {
+
+  var tester = new MarbleTester();
+
+  assert.deepEqual(groups(tester.cold('-1-2-3-4-5-|', numbers).groupBy(function (x) {
+    return x % 2 ? 'odd' : 'even';
+  }), tester.scheduler), {
+    odd: [1, 3, 5, '|'],
+    even: [2, 4, '|']
+  });
+});
+
+test('groupBy sends the source error to every group', function () {
+
+  var tester = new MarbleTester();
+
+  assert.deepEqual(groups(tester.cold('-a-b-#').groupBy(function (x) {
+    return x;
+  }), tester.scheduler), {
+    a: ['a', '#error'],
+    b: ['b', '#error']
+  });
+});
+
+test('groupBy sends the errors keySelector throws', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-b|').groupBy(function () {
+      throw 'no key';
+    }).mergeAll()).toBe('-#', null, 'no key');
+  });
+});
+
+test('groups are observables with a key', function () {
+
+  var tester = new MarbleTester();
+  var keys = [];
+
+  tester.cold('-a|').groupBy(function (x) {
+    return x.toUpperCase();
+  }).subscribe(function (group) {
+    keys.push([group.key, group instanceof Observable]);
+  });
+
+  tester.scheduler.flush();
+
+  assert.deepEqual(keys, [['A', true]]);
+});
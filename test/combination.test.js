@@ -0,0 +1,156 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Observable, combineLatest, zip } from '../reactive.js';
+import { MarbleTester } from '../testing.js';
+
+function join() {
+  return Array.prototype.join.call(arguments, '');
+}
+
+
+/*****************
+ * combineLatest *
+ *****************/
+
+test('combineLatest emits the latest values once every stream has emitted', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(Observable.combineLatest(tester.cold('-a---b-|'),
+      tester.cold('---1---2-|'), join)).toBe('---x-y-z-|', { x: 'a1', y: 'b1', z: 'b2' });
+  });
+});
+
+test('combineLatest takes the streams as an array, emitting arrays', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(Observable.combineLatest([tester.cold('-a|'), tester.cold('--1|')]))
+      .toBe('--x|', { x: ['a', '1'] });
+  });
+});
+
+test('combineLatest completes when a stream completes without a value', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(Observable.combineLatest(tester.cold('-a-b-|'), tester.cold('--|')))
+      .toBe('--|');
+  });
+});
+
+test('combineLatest as an operator combines the source first', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-b|').pipe(combineLatest(tester.cold('1|'), join)))
+      .toBe('-x-y|', { x: 'a1', y: 'b1' });
+  });
+});
+
+
+/*******
+ * zip *
+ *******/
+
+test('zip pairs the n-th values of the streams', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(Observable.zip(tester.cold('-a-b-c-|'), tester.cold('---1-2|'), join))
+      .toBe('---x-y|', { x: 'a1', y: 'b2' });
+  });
+});
+
+test('zip as an operator pairs the source first', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-b|').pipe(zip(tester.cold('12|'), join)))
+      .toBe('-x-(y|)', { x: 'a1', y: 'b2' });
+  });
+});
+
+
+/******************
+ * withLatestFrom *
+ ******************/
+
+test('withLatestFrom drops the source values coming before the others emitted', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-b-c-|').withLatestFrom(tester.cold('--1---2|'), join))
+      .toBe('---x-y-|', { x: 'b1', y: 'c1' });
+  });
+});
+
+test('withLatestFrom completes with the source only', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-b---|').withLatestFrom(tester.cold('1|')))
+      .toBe('-x-y---|', { x: ['a', '1'], y: ['b', '1'] });
+  });
+});
+
+
+/************
+ * forkJoin *
+ ************/
+
+test('forkJoin emits the last values once every stream has completed', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(Observable.forkJoin(tester.cold('-a-b|'), tester.cold('--1---2|'),
+      join)).toBe('-------(x|)', { x: 'b2' });
+  });
+});
+
+test('forkJoin completes without a value when a stream has none', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(Observable.forkJoin(tester.cold('-a-b|'), tester.cold('--|')))
+      .toBe('--|');
+  });
+});
+
+test('forkJoin sends the first error', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(Observable.forkJoin(tester.cold('-a-b|'), tester.cold('--#')))
+      .toBe('--#');
+  });
+});
+
+
+/**********
+ * concat *
+ **********/
+
+test('concat subscribes to each stream once the previous one completed', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(Observable.concat(tester.cold('-a|'), tester.cold('-b|'),
+      tester.cold('-c|'))).toBe('-a-b-c|');
+    tester.expectObservable(tester.cold('-a|').concat(tester.cold('-b|'))).toBe('-a-b|');
+  });
+});
+
+test('concat stops at the first error', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(Observable.concat(tester.cold('-#'), tester.cold('-b|')))
+      .toBe('-#');
+  });
+});
+
+
+/********
+ * race *
+ ********/
+
+test('race mirrors the first stream to emit and disposes the others', function () {
+
+  var tester = new MarbleTester();
+  var isdisposed = false;
+  var slow = new Observable(function (obs) {
+    tester.cold('---a|').subscribe(obs);
+    return function () {
+      isdisposed = true;
+    };
+  });
+
+  tester.expectObservable(Observable.race(slow, tester.cold('-1-2|'))).toBe('-1-2|');
+  tester.flush();
+
+  assert.equal(isdisposed, true);
+});
+
+test('race is won by an error or a completion too', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(Observable.race(tester.cold('--a|'), tester.cold('-#')))
+      .toBe('-#');
+    tester.expectObservable(tester.cold('--a|').race(tester.cold('-|'))).toBe('-|');
+  });
+});
@@ -0,0 +1,160 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Observable, Observer, SafeSubscriber, Subscription } from '../reactive.js';
+import { MarbleTester } from '../testing.js';
+
+/**
+ * Source breaking the contract: emits whatever it is told, even once
+ * stopped or disposed
+ */
+function unruly(calls) {
+  return new Observable(function (obs) {
+    calls.forEach(function (call) {
+      obs[call[0]](call[1]);
+    });
+  });
+}
+
+function collect(observable) {
+
+  var events = [];
+
+  observable.subscribe(function (value) {
+    events.push(value);
+  }, function (err) {
+    events.push('#' + err);
+  }, function () {
+    events.push('|');
+  });
+
+  return events;
+}
+
+
+/************
+ * Contract *
+ ************/
+
+test('nothing gets through after complete', function () {
+  assert.deepEqual(collect(unruly([['next', 1], ['complete'], ['next', 2], ['complete'],
+    ['error', 'late']])), [1, '|']);
+});
+
+test('nothing gets through after error', function () {
+  assert.deepEqual(collect(unruly([['error', 'boom'], ['next', 1], ['error', 'again'],
+    ['complete']])), ['#boom']);
+});
+
+test('a source emitting past its end is cut on virtual time', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-|-b-#-|')).toBe('-a-|');
+    tester.expectObservable(tester.cold('-a-#-b-|')).toBe('-a-#');
+  });
+});
+
+test('nothing gets through after dispose', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-b-c-|'), '^--!').toBe('-a-');
+  });
+});
+
+test('take completes once, whatever the source does next', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-b-|').take(1)).toBe('-(a|)');
+    tester.expectObservable(unruly([['next', 'a'], ['complete'], ['complete']]).take(5))
+      .toBe('(a|)');
+  });
+});
+
+
+/************
+ * Teardown *
+ ************/
+
+function teardownCount(emit) {
+
+  var count = 0;
+
+  var subscription = new Observable(function (obs) {
+    emit(obs);
+    return function () {
+      count++;
+    };
+  }).subscribe({ error: function () {} });
+
+  subscription.dispose();
+
+  return count;
+}
+
+test('the teardown runs once, on complete, error or dispose', function () {
+  assert.equal(teardownCount(function (obs) {
+    obs.complete();
+  }), 1);
+  assert.equal(teardownCount(function (obs) {
+    obs.error('boom');
+  }), 1);
+  assert.equal(teardownCount(function () {}), 1);
+});
+
+test('the teardown runs on complete before subscribe returns', function () {
+
+  var log = [];
+
+  new Observable(function (obs) {
+    obs.add(function () {
+      log.push('teardown');
+    });
+    obs.complete();
+    log.push('after complete');
+  }).subscribe(function () {});
+
+  assert.deepEqual(log, ['teardown', 'after complete']);
+});
+
+test('errors thrown by subscribe are sent as error', function () {
+  assert.deepEqual(collect(new Observable(function () {
+    throw 'broken';
+  })), ['#broken']);
+});
+
+
+/*************
+ * Observers *
+ *************/
+
+test('subscribe takes functions, partial objects and observers', function () {
+
+  var values = [];
+
+  unruly([['next', 1]]).subscribe(function (value) {
+    values.push('function ' + value);
+  });
+  unruly([['next', 2]]).subscribe({
+    next: function (value) {
+      values.push('object ' + value);
+    }
+  });
+  unruly([['next', 3]]).subscribe(new Observer({
+    next: function (value) {
+      values.push('observer ' + value);
+    }
+  }));
+  unruly([['complete']]).subscribe({});
+
+  assert.deepEqual(values, ['function 1', 'object 2', 'observer 3']);
+});
+
+test('the subscription returned is the safe subscriber', function () {
+
+  var subscription = unruly([['next', 1]]).subscribe(function () {});
+
+  assert.ok(subscription instanceof SafeSubscriber);
+  assert.ok(subscription instanceof Subscription);
+  assert.equal(subscription.isStopped, false);
+
+  subscription.dispose();
+
+  assert.equal(subscription.isStopped, true);
+});
@@ -0,0 +1,176 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Observable, Subject, BehaviorSubject, TestScheduler, Scheduler } from '../reactive.js';
+
+var immediate = Scheduler.immediate;
+
+function collect(observable) {
+
+  var values = [];
+
+  observable.subscribe(function (value) {
+    values.push(value);
+  }, function (err) {
+    values.push('#' + err);
+  }, function () {
+    values.push('|');
+  });
+
+  return values;
+}
+
+
+/********
+ * from *
+ ********/
+
+test('from takes iterables and array-likes', function () {
+
+  function* letters() {
+    yield 'a';
+    yield 'b';
+  }
+
+  assert.deepEqual(collect(Observable.from(new Set([1, 2]), immediate)), [1, 2, '|']);
+  assert.deepEqual(collect(Observable.from('ab', immediate)), ['a', 'b', '|']);
+  assert.deepEqual(collect(Observable.from(letters(), immediate)), ['a', 'b', '|']);
+  assert.deepEqual(collect(Observable.from({ length: 2, 0: 'x', 1: 'y' }, immediate)),
+    ['x', 'y', '|']);
+});
+
+test('from mirrors subjects', function () {
+
+  var subject = new BehaviorSubject(1);
+  var values = collect(Observable.from(subject));
+
+  subject.next(2);
+  subject.complete();
+
+  assert.deepEqual(values, [1, 2, '|']);
+});
+
+test('from throws for what cannot be a stream', function () {
+  assert.throws(function () {
+    Observable.from(5);
+  }, TypeError);
+});
+
+test('range computes its values lazily', function () {
+  assert.deepEqual(collect(Observable.range(1, Infinity, immediate).take(3)), [1, 2, 3, '|']);
+});
+
+test('generate runs as a for loop', function () {
+  assert.deepEqual(collect(Observable.generate(1, function (x) {
+    return x < 50;
+  }, function (x) {
+    return x * 3;
+  }, immediate)), [1, 3, 9, 27, '|']);
+});
+
+
+/*********
+ * timer *
+ *********/
+
+test('timer emits 0 after dueTime then every period', function () {
+
+  var scheduler = new TestScheduler();
+  var frames = [];
+
+  Observable.timer(3, 2, scheduler).take(3).subscribe(function (value) {
+    frames.push([scheduler.now(), value]);
+  });
+
+  scheduler.flush();
+
+  assert.deepEqual(frames, [[3, 0], [5, 1], [7, 2]]);
+});
+
+test('timer takes a date as dueTime', function () {
+
+  var scheduler = new TestScheduler();
+  var values = [];
+
+  scheduler.advanceTo(10);
+
+  Observable.timer(new Date(15), scheduler).subscribe(function (value) {
+    values.push([scheduler.now(), value]);
+  });
+
+  scheduler.flush();
+
+  assert.deepEqual(values, [[15, 0]]);
+});
+
+
+/*********************
+ * defer, iif, using *
+ *********************/
+
+test('defer calls the factory for each subscriber', function () {
+
+  var calls = 0;
+  var deferred = Observable.defer(function () {
+    calls++;
+    return Observable.of(calls, immediate);
+  });
+
+  assert.deepEqual(collect(deferred), [1, '|']);
+  assert.deepEqual(collect(deferred), [2, '|']);
+});
+
+test('defer takes subjects', function () {
+
+  var subject = new Subject();
+  var values = collect(Observable.defer(function () {
+    return subject;
+  }));
+
+  subject.next(1);
+
+  assert.deepEqual(values, [1]);
+});
+
+test('defer sends the error thrown by the factory', function () {
+  assert.deepEqual(collect(Observable.defer(function () {
+    throw 'boom';
+  })), ['#boom']);
+});
+
+test('iif chooses the stream at subscription time', function () {
+
+  var isloggedin = false;
+  var subject = new Subject();
+  var chosen = Observable.iif(function () {
+    return isloggedin;
+  }, subject);
+
+  assert.deepEqual(collect(chosen), ['|']);
+
+  isloggedin = true;
+  var values = collect(chosen);
+  subject.next('profile');
+
+  assert.deepEqual(values, ['profile']);
+});
+
+test('using disposes the resource along with the subscription', function () {
+
+  var isdisposed = false;
+  var subject = new Subject();
+
+  var subscription = Observable.using(function () {
+    return {
+      dispose: function () {
+        isdisposed = true;
+      }
+    };
+  }, function () {
+    return subject;
+  }).subscribe(function () {});
+
+  assert.equal(isdisposed, false);
+  subscription.dispose();
+  assert.equal(isdisposed, true);
+});
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import { readFileSync } from 'node:fs';
+
+import * as reactive from '../reactive.js';
+import { MarbleTester, readDiagrams } from '../testing.js';
+
+/**
+ * Names the calls of the diagrams use: the exports, the creation functions
+ * and a console keeping quiet
+ */
+var scope = Object.assign({ console: { log: function () {} } }, reactive);
+
+Object.keys(reactive.Observable).forEach(function (name) {
+  if (!(name in scope) && typeof reactive.Observable[name] === 'function') {
+    scope[name] = reactive.Observable[name].bind(reactive.Observable);
+  }
+});
+
+// Driven by promises and Node streams rather than by a scheduler
+var untimed = ['fromReadable', 'fromPromise', 'fromAsyncIterable', 'toWritable'];
+
+
+/****************************
+ * reactive.js doc diagrams *
+ ****************************/
+
+readDiagrams(readFileSync(new URL('../reactive.js', import.meta.url), 'utf8'))
+  .filter(function (diagram) {
+    return untimed.indexOf(diagram.name) === -1;
+  })
+  .forEach(function (diagram) {
+    test(diagram.name + ': ' + diagram.call.replace(/\s+/g, ' '), function () {
+      MarbleTester.runDiagram(diagram, scope);
+    });
+  });
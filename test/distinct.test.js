@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+
+import { MarbleTester } from '../testing.js';
+
+var numbers = { 1: 1, 2: 2, 3: 3, 4: 4 };
+
+var people = {
+  a: { name: 'ann', age: 30 },
+  b: { name: 'bob', age: 30 },
+  c: { name: 'cid', age: 41 },
+  d: { name: 'ann', age: 52 }
+};
+
+
+/************
+ * distinct *
+ ************/
+
+test('distinct skips the values already emitted', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-1-2-1-3-2-4-|', numbers).distinct())
+      .toBe('-1-2---3---4-|', numbers);
+  });
+});
+
+test('distinct compares the keys given by keySelector', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-b-c-d-|', people).distinct(function (person) {
+      return person.name;
+    })).toBe('-a-b-c---|', people);
+  });
+});
+
+test('distinct forgets the values seen each time flushes emits', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-b-a-b-a-|').distinct(null, tester.cold('------x')))
+      .toBe('-a-b---b-a-|');
+  });
+});
+
+test('distinct sends the errors of keySelector and flushes', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-b|').distinct(function () {
+      throw 'no key';
+    })).toBe('-#', null, 'no key');
+    tester.expectObservable(tester.cold('-a-b|').distinct(null, tester.cold('--#')))
+      .toBe('-a#');
+  });
+});
+
+
+/************************
+ * distinctUntilChanged *
+ ************************/
+
+test('distinctUntilChanged skips the values equal to the previous one', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-1-1-2-2-2-1-3-|', numbers).distinctUntilChanged())
+      .toBe('-1---2-----1-3-|', numbers);
+  });
+});
+
+test('distinctUntilChanged compares by comparator', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-b-c-d-|', people).distinctUntilChanged(function (x, y) {
+      return x.age === y.age;
+    })).toBe('-a---c-d-|', people);
+  });
+});
+
+test('distinctUntilChanged compares the keys given by keySelector', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-b-c-d-|', people).distinctUntilChanged(null,
+      function (person) {
+        return person.age > 40;
+      })).toBe('-a---c---|', people);
+  });
+});
+
+test('distinctUntilChanged sends the errors comparator throws', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-b|').distinctUntilChanged(function () {
+      throw 'bad comparison';
+    })).toBe('-a-#', null, 'bad comparison');
+  });
+});
+
+
+/***************************
+ * distinctUntilKeyChanged *
+ ***************************/
+
+test('distinctUntilKeyChanged compares the key property', function () {
+  MarbleTester.run(function (tester) {
+
+    var source = tester.cold('-a-b-c-d-|', people);
+
+    tester.expectObservable(source.distinctUntilKeyChanged('age')).toBe('-a---c-d-|', people);
+    tester.expectObservable(source.distinctUntilKeyChanged('name', function (x, y) {
+      return x.length === y.length;
+    })).toBe('-a-------|', people);
+  });
+});
+
+
+/************
+ * pairwise *
+ ************/
+
+test('pairwise emits each value along with the previous one', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-b-c-|').pairwise())
+      .toBe('---x-y-|', { x: ['a', 'b'], y: ['b', 'c'] });
+    tester.expectObservable(tester.cold('-a-|').pairwise()).toBe('---|');
+  });
+});
+
+test('pairwise starts again for each subscriber', function () {
+  MarbleTester.run(function (tester) {
+
+    var pairs = tester.cold('-a-b|').pairwise();
+
+    tester.expectObservable(pairs).toBe('---x|', { x: ['a', 'b'] });
+    tester.expectObservable(pairs, '--^').toBe('-----x|', { x: ['a', 'b'] });
+  });
+});
@@ -0,0 +1,150 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Observable } from '../reactive.js';
+import { MarbleTester } from '../testing.js';
+
+/**
+ * Callback throwing on 'b', passing other values through
+ */
+function failOnB(value) {
+  if (value === 'b') {
+    throw 'bad';
+  }
+  return value;
+}
+
+
+/**********************************
+ * Errors thrown by the callbacks *
+ **********************************/
+
+test('map, filter and tap send the errors their callbacks throw', function () {
+  MarbleTester.run(function (tester) {
+
+    var source = tester.cold('-a-b-c-|');
+
+    tester.expectObservable(source.map(failOnB)).toBe('-a-#', null, 'bad');
+    tester.expectObservable(source.filter(failOnB)).toBe('-a-#', null, 'bad');
+    tester.expectObservable(source.tap(failOnB)).toBe('-a-#', null, 'bad');
+  });
+});
+
+test('mergeMap sends the errors its project throws', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-b-c-|').mergeMap(function (value) {
+      return tester.cold('(' + failOnB(value) + '|)');
+    })).toBe('-a-#', null, 'bad');
+  });
+});
+
+test('the source is disposed on such an error', function () {
+
+  var tester = new MarbleTester();
+  var isdisposed = false;
+  var source = new Observable(function (obs) {
+    tester.cold('-a-b-c-|').subscribe(obs);
+    return function () {
+      isdisposed = true;
+    };
+  });
+
+  tester.expectObservable(source.map(failOnB)).toBe('-a-#', null, 'bad');
+  tester.flush();
+
+  assert.equal(isdisposed, true);
+});
+
+
+/**************
+ * catchError *
+ **************/
+
+test('catchError goes on with the stream the selector returns', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-#').catchError(function (err) {
+      return tester.cold('-e-|', { e: err });
+    })).toBe('-a--e-|', { e: 'error' });
+  });
+});
+
+test('catchError subscribes again to the source given second', function () {
+  MarbleTester.run(function (tester) {
+
+    var retries = 0;
+
+    tester.expectObservable(tester.cold('-a-#').catchError(function (err, caught) {
+      return retries++ < 1 ? caught : tester.cold('|');
+    })).toBe('-a--a-|');
+  });
+});
+
+test('catchError sends the error its selector throws', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-#').catchError(function () {
+      throw 'worse';
+    })).toBe('-a-#', null, 'worse');
+  });
+});
+
+test('catchError lets values and completion through', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-b-|').catchError(function () {
+      return tester.cold('-x-|');
+    })).toBe('-a-b-|');
+  });
+});
+
+
+/********************
+ * retry, retryWhen *
+ ********************/
+
+test('retry subscribes again up to count times', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-#').retry(2)).toBe('-a--a--a-#');
+  });
+});
+
+test('retry without count subscribes again until the source succeeds', function () {
+  MarbleTester.run(function (tester) {
+
+    var attempts = 0;
+
+    tester.expectObservable(Observable.defer(function () {
+      return attempts++ < 2 ? tester.cold('-#') : tester.cold('-a|');
+    }).retry()).toBe('---a|');
+  });
+});
+
+test('retryWhen subscribes again when the notifier emits, and ends with it', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-#').retryWhen(function (errors) {
+      return errors.delay(2, tester.scheduler).take(2);
+    })).toBe('-a----a---|');
+  });
+});
+
+test('retryWhen errors when the notifier does', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-#').retryWhen(function (errors) {
+      return errors.map(function () {
+        throw 'give up';
+      });
+    })).toBe('-a-#', null, 'give up');
+  });
+});
+
+
+/**************
+ * throwError *
+ **************/
+
+test('throwError errors on the given scheduler', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(Observable.throwError('boom', tester.scheduler))
+      .toBe('#', null, 'boom');
+    tester.expectObservable(Observable.throwError('boom', tester.scheduler), '--^')
+      .toBe('--#', null, 'boom');
+  });
+});
@@ -0,0 +1,188 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Observable, Scheduler, EmptyError, ArgumentOutOfRangeError } from '../reactive.js';
+import { MarbleTester } from '../testing.js';
+
+var numbers = { 1: 1, 2: 2, 3: 3, 4: 4, 5: 5 };
+
+function below3(x) {
+  return x < 3;
+}
+
+/**
+ * Notifier emitting as soon as subscribed to
+ */
+function now() {
+  return Observable.of('x', Scheduler.immediate);
+}
+
+
+/******************************
+ * skip, skipWhile, skipUntil *
+ ******************************/
+
+test('skip skips the n first values', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-b-c-d-|').skip(2)).toBe('-----c-d-|');
+    tester.expectObservable(tester.cold('-a-b-|').skip(5)).toBe('-----|');
+  });
+});
+
+test('skipWhile skips values until predicate fails once', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-1-2-3-1-|', numbers).skipWhile(below3))
+      .toBe('-----3-1-|', numbers);
+  });
+});
+
+test('skipUntil skips values until notifier emits', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-b-c-d-|').skipUntil(tester.cold('----x|')))
+      .toBe('-----c-d-|');
+    tester.expectObservable(tester.cold('-a-b-c-d-|').skipUntil(tester.cold('--|')))
+      .toBe('---------|');
+    tester.expectObservable(tester.cold('-a-b-c-d-|').skipUntil(tester.cold('--#')))
+      .toBe('--#');
+  });
+});
+
+test('skipUntil skips nothing with a notifier emitting right away', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-b|').skipUntil(now())).toBe('-a-b|');
+  });
+});
+
+
+/******************************
+ * take, takeWhile, takeUntil *
+ ******************************/
+
+test('take takes the n first values, completing right away for 0', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-b-c-|').take(2)).toBe('-a-(b|)');
+    tester.expectObservable(tester.cold('-a-b-c-|').take(0)).toBe('|');
+    tester.expectObservable(tester.cold('-a-|').take(5)).toBe('-a-|');
+  });
+});
+
+test('takeWhile completes on the first value failing predicate, emitting it when inclusive', function () {
+  MarbleTester.run(function (tester) {
+
+    var source = tester.cold('-1-2-3-1-|', numbers);
+
+    tester.expectObservable(source.takeWhile(below3)).toBe('-1-2-|', numbers);
+    tester.expectObservable(source.takeWhile(below3, true)).toBe('-1-2-(3|)', numbers);
+  });
+});
+
+test('takeWhile sends the errors predicate throws', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-b|').takeWhile(function () {
+      throw 'bad value';
+    })).toBe('-#', null, 'bad value');
+  });
+});
+
+test('takeUntil takes values until notifier emits', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-b-c-|').takeUntil(tester.cold('----x|')))
+      .toBe('-a-b|');
+    tester.expectObservable(tester.cold('-a-b-c-|').takeUntil(tester.cold('--|')))
+      .toBe('-a-b-c-|');
+    tester.expectObservable(tester.cold('-a-b-c-|').takeUntil(tester.cold('--#')))
+      .toBe('-a#');
+  });
+});
+
+test('takeUntil does not subscribe to the source with a notifier emitting right away', function () {
+
+  var tester = new MarbleTester();
+  var subscriptions = 0;
+  var source = Observable.defer(function () {
+    subscriptions++;
+    return tester.cold('-a|');
+  });
+
+  tester.expectObservable(source.takeUntil(now())).toBe('|');
+  tester.flush();
+
+  assert.equal(subscriptions, 0);
+});
+
+
+/************************************
+ * first, last, elementAt, takeLast *
+ ************************************/
+
+test('first emits the first value passing predicate and completes', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('--a-b-|').first()).toBe('--(a|)');
+    tester.expectObservable(tester.cold('-1-2-3-|', numbers).first(function (x) {
+      return x > 1;
+    })).toBe('---(2|)', numbers);
+  });
+});
+
+test('first emits defaultValue when nothing passes, or errors with an EmptyError', function () {
+  MarbleTester.run(function (tester) {
+
+    function isz(x) {
+      return x === 'z';
+    }
+
+    tester.expectObservable(tester.cold('-a-b|').first(isz, 'y')).toBe('----(y|)');
+    tester.expectObservable(tester.cold('--|').first(undefined, 'y')).toBe('--(y|)');
+    tester.expectObservable(tester.cold('-a-b|').first(isz)).toBe('----#', null, new EmptyError());
+  });
+});
+
+test('last emits the last value passing predicate on completion', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-b-|').last()).toBe('-----(b|)');
+    tester.expectObservable(tester.cold('-1-2-3-|', numbers).last(below3))
+      .toBe('-------(2|)', numbers);
+  });
+});
+
+test('last emits defaultValue when nothing passes, or errors with an EmptyError', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('--|').last(undefined, 'y')).toBe('--(y|)');
+    tester.expectObservable(tester.cold('--|').last()).toBe('--#', null, new EmptyError());
+  });
+});
+
+test('elementAt emits the value at index and completes', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-b-c-|').elementAt(1)).toBe('---(b|)');
+  });
+});
+
+test('elementAt past the end emits defaultValue, or errors with an ArgumentOutOfRangeError', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-b|').elementAt(5, 'y')).toBe('----(y|)');
+    tester.expectObservable(tester.cold('-a-b|').elementAt(5))
+      .toBe('----#', null, new ArgumentOutOfRangeError());
+  });
+});
+
+test('elementAt throws for a negative index', function () {
+  assert.throws(function () {
+    Observable.empty().elementAt(-1);
+  }, ArgumentOutOfRangeError);
+});
+
+test('takeLast emits the n last values on completion, the last one by default', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-b-c-|').takeLast(2)).toBe('-------(bc|)');
+    tester.expectObservable(tester.cold('-a-b-c-|').takeLast()).toBe('-------(c|)');
+    tester.expectObservable(tester.cold('-a-|').takeLast(5)).toBe('---(a|)');
+  });
+});
+
+test('takeLast of an empty stream just completes', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('--|').takeLast()).toBe('--|');
+    tester.expectObservable(tester.cold('--|').takeLast(3)).toBe('--|');
+  });
+});
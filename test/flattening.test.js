@@ -0,0 +1,149 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Observable } from '../reactive.js';
+import { MarbleTester } from '../testing.js';
+
+/**
+ * Project of the tests: each value becomes a stream emitting it twice,
+ * one frame then three frames after being subscribed to
+ */
+function twice(tester) {
+  return function (x) {
+    return tester.cold('-x-x|', { x: x });
+  };
+}
+
+
+/*************
+ * switchMap *
+ *************/
+
+test('switchMap follows the stream of the last value', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a---b-c------|').switchMap(twice(tester)))
+      .toBe('--a-a-b-c-c---|');
+  });
+});
+
+test('switchMap completes once the source and the last stream have', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a|').switchMap(twice(tester))).toBe('--a-a|');
+  });
+});
+
+test('switchMap disposes the stream it switches from', function () {
+
+  var tester = new MarbleTester();
+  var disposed = [];
+
+  tester.expectObservable(tester.cold('-a-b--').switchMap(function (x) {
+    return new Observable(function (obs) {
+      tester.cold('-x-x-x-x', { x: x }).subscribe(obs);
+      return function () {
+        disposed.push(x + tester.scheduler.now());
+      };
+    });
+  }), '^-------!').toBe('--a-b-b-');
+  tester.flush();
+
+  assert.deepEqual(disposed, ['a3', 'b8']);
+});
+
+test('switchMap sends the errors of the streams', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-b-|').switchMap(function () {
+      return tester.cold('-#');
+    })).toBe('--#');
+  });
+});
+
+
+/*************
+ * concatMap *
+ *************/
+
+test('concatMap plays the streams one after the other', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-b-c|').concatMap(twice(tester)))
+      .toBe('--a-a-b-b-c-c|');
+  });
+});
+
+test('concatMap sends the errors of the streams, dropping the ones waiting', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-ab|').concatMap(function (x) {
+      return x === 'a' ? tester.cold('--#') : tester.cold('-x|', { x: x });
+    })).toBe('---#');
+  });
+});
+
+
+/**************
+ * exhaustMap *
+ **************/
+
+test('exhaustMap ignores the values coming while a stream runs', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-b---c-|').exhaustMap(twice(tester)))
+      .toBe('--a-a---c-c|');
+  });
+});
+
+
+/************************
+ * mergeMap, concurrent *
+ ************************/
+
+test('mergeMap subscribes to every stream at once by default', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-abc|').mergeMap(function (x) {
+      return tester.cold('---x|', { x: x });
+    })).toBe('----abc|');
+  });
+});
+
+test('mergeMap subscribes to at most concurrent streams, the others waiting', function () {
+  MarbleTester.run(function (tester) {
+
+    function later(x) {
+      return tester.cold('---x|', { x: x });
+    }
+
+    tester.expectObservable(tester.cold('-abc|').mergeMap(later, 2)).toBe('----ab--c|');
+    tester.expectObservable(tester.cold('-abc|').mergeMap(later, 1)).toBe('----a---b---c|');
+  });
+});
+
+test('mergeAll takes a concurrent limit too', function () {
+  MarbleTester.run(function (tester) {
+
+    var inner = {
+      A: tester.cold('--a|'),
+      B: tester.cold('--b|')
+    };
+
+    tester.expectObservable(tester.cold('-AB|', inner).mergeAll()).toBe('---ab|');
+    tester.expectObservable(tester.cold('-AB|', inner).mergeAll(1)).toBe('---a--b|');
+  });
+});
+
+
+/***************************************
+ * switchAll, concatAll and exhaustAll *
+ ***************************************/
+
+test('switchAll, concatAll and exhaustAll flatten streams of streams', function () {
+  MarbleTester.run(function (tester) {
+
+    var inner = {
+      A: tester.cold('-a-a|'),
+      B: tester.cold('-b-b|')
+    };
+    var source = tester.cold('-A-B---|', inner);
+
+    tester.expectObservable(source.switchAll()).toBe('--a-b-b|');
+    tester.expectObservable(source.concatAll()).toBe('--a-a-b-b|');
+    tester.expectObservable(source.exhaustAll()).toBe('--a-a--|');
+  });
+});
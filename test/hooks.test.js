@@ -0,0 +1,156 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Observable, Subject, TestScheduler, Scheduler, config } from '../reactive.js';
+
+afterEach(function () {
+  config.onUnhandledError = undefined;
+  config.onStoppedNotification = undefined;
+});
+
+function recordUnhandled() {
+  var errors = [];
+  config.onUnhandledError = function (err) {
+    errors.push(err);
+  };
+  return errors;
+}
+
+
+/********************
+ * onUnhandledError *
+ ********************/
+
+test('errors reaching a subscriber without error handler are reported', function () {
+
+  var errors = recordUnhandled();
+
+  Observable.throwError('boom', Scheduler.immediate).subscribe(function () {});
+
+  assert.deepEqual(errors, ['boom']);
+});
+
+test('errors thrown by handlers are reported, the source going on', function () {
+
+  var errors = recordUnhandled();
+  var values = [];
+
+  Observable.of(1, 2, Scheduler.immediate).subscribe(function (value) {
+    values.push(value);
+    throw new Error('next ' + value);
+  });
+
+  assert.deepEqual(values, [1, 2]);
+  assert.deepEqual(errors.map(function (err) {
+    return err.message;
+  }), ['next 1', 'next 2']);
+});
+
+test('a subject goes on notifying when a handler throws', function () {
+
+  var errors = recordUnhandled();
+  var subject = new Subject();
+  var got = [];
+
+  subject.subscribe(function () {
+    throw new Error('first');
+  });
+  subject.subscribe(function (value) {
+    got.push(value);
+  });
+
+  subject.next(1);
+
+  assert.deepEqual(got, [1]);
+  assert.equal(errors.length, 1);
+});
+
+test('teardowns throwing on complete are reported, not thrown at the source', function () {
+
+  var errors = recordUnhandled();
+  var subject = new Subject();
+  var completed = [];
+
+  subject.subscribe(function () {}).add(function () {
+    throw new Error('teardown');
+  });
+  subject.subscribe({
+    complete: function () {
+      completed.push('second');
+    }
+  });
+
+  subject.complete();
+
+  assert.deepEqual(completed, ['second']);
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].name, 'DisposeError');
+});
+
+test('teardowns throwing on error are reported, virtual time going on', function () {
+
+  var errors = recordUnhandled();
+  var scheduler = new TestScheduler();
+  var values = [];
+
+  new Observable(function (obs) {
+    scheduler.schedule(function () {
+      obs.error('boom');
+    }, 1);
+    return function () {
+      throw new Error('teardown');
+    };
+  }).subscribe({ error: function () {} });
+
+  Observable.interval(1, scheduler).take(3).subscribe(function (value) {
+    values.push(value);
+  });
+
+  scheduler.flush();
+
+  assert.deepEqual(values, [0, 1, 2]);
+  assert.equal(errors.length, 1);
+});
+
+
+/*************************
+ * onStoppedNotification *
+ *************************/
+
+test('notifications sent after completion are reported', function () {
+
+  var stopped = [];
+
+  config.onStoppedNotification = function (notification) {
+    stopped.push(notification);
+  };
+
+  new Observable(function (obs) {
+    obs.next(1);
+    obs.complete();
+    obs.next(2);
+    obs.error('late');
+    obs.complete();
+  }).subscribe(function () {});
+
+  assert.deepEqual(stopped, [
+    { kind: 'N', value: 2 },
+    { kind: 'E', error: 'late' },
+    { kind: 'C' }
+  ]);
+});
+
+test('notifications sent to a stopped subject are reported', function () {
+
+  var stopped = [];
+  var subject = new Subject();
+
+  config.onStoppedNotification = function (notification, target) {
+    stopped.push([notification.kind, target === subject]);
+  };
+
+  subject.complete();
+  subject.next(1);
+
+  assert.deepEqual(stopped, [['N', true]]);
+});
@@ -0,0 +1,167 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Observable, Subject, TestScheduler, config, filter, map, tag } from '../reactive.js';
+import { Inspector } from '../inspector.js';
+
+afterEach(function () {
+  config.onEvent = undefined;
+});
+
+function names(subscriptions) {
+  return subscriptions.map(function (subscription) {
+    return subscription.name;
+  });
+}
+
+
+/************
+ * snapshot *
+ ************/
+
+test('snapshot lists the live subscriptions with their chain', function () {
+
+  var scheduler = new TestScheduler();
+  var inspector = new Inspector({ scheduler: scheduler }).start();
+
+  Observable.interval(10, scheduler)
+    .pipe(map(function (x) {
+      return x * 2;
+    }), tag('ticks'))
+    .subscribe(function () {});
+
+  scheduler.advanceTo(35);
+
+  assert.deepEqual(inspector.snapshot(), {
+    time: 35,
+    subscriptions: [
+      { id: 1, name: 'ticks', downstream: null, chain: ['ticks'],
+        subscribedAt: 0, age: 35, nextCount: 3 },
+      { id: 2, name: 'map', downstream: 1, chain: ['map', 'ticks'],
+        subscribedAt: 0, age: 35, nextCount: 3 },
+      { id: 3, name: 'interval', downstream: 2, chain: ['interval', 'map', 'ticks'],
+        subscribedAt: 0, age: 35, nextCount: 3 }
+    ]
+  });
+});
+
+test('disposed and completed subscriptions leave the snapshot', function () {
+
+  var scheduler = new TestScheduler();
+  var inspector = new Inspector({ scheduler: scheduler }).start();
+  var subject = new Subject();
+
+  var subscription = subject.asObservable().pipe(filter(Boolean)).subscribe(function () {});
+  Observable.timer(5, undefined, scheduler).subscribe(function () {});
+
+  assert.deepEqual(names(inspector.snapshot().subscriptions), ['filter', 'timer']);
+
+  scheduler.flush();
+  assert.deepEqual(names(inspector.snapshot().subscriptions), ['filter']);
+
+  subscription.dispose();
+  assert.deepEqual(inspector.snapshot().subscriptions, []);
+});
+
+
+/*********
+ * Leaks *
+ *********/
+
+test('leaks returns the subscriptions older than the threshold', function () {
+
+  var scheduler = new TestScheduler();
+  var inspector = new Inspector({ scheduler: scheduler, leakThreshold: 100 }).start();
+  var subject = new Subject();
+
+  subject.asObservable().map(function (x) {
+    return x;
+  }).subscribe(function () {});
+  scheduler.advanceTo(60);
+  subject.asObservable().filter(Boolean).subscribe(function () {});
+  scheduler.advanceTo(120);
+
+  assert.deepEqual(names(inspector.leaks()), ['map']);
+  assert.deepEqual(names(inspector.leaks(50)), ['map', 'filter']);
+});
+
+test('leaks throws without threshold', function () {
+  assert.throws(function () {
+    new Inspector({ scheduler: new TestScheduler() }).leaks();
+  }, /No leak threshold/);
+});
+
+test('checkLeaks flags each leak once, calling onLeak every leakThreshold', function () {
+
+  var scheduler = new TestScheduler();
+  var flagged = [];
+  var subject = new Subject();
+
+  new Inspector({
+    scheduler: scheduler,
+    leakThreshold: 100,
+    onLeak: function (leak) {
+      flagged.push([scheduler.now(), leak.name, leak.age]);
+    }
+  }).start();
+
+  subject.asObservable().map(function (x) {
+    return x;
+  }).subscribe(function () {});
+  scheduler.advanceTo(50);
+  subject.asObservable().filter(Boolean).subscribe(function () {});
+  scheduler.advanceTo(350);
+
+  assert.deepEqual(flagged, [[100, 'map', 100], [200, 'filter', 150]]);
+});
+
+
+/***************
+ * start, stop *
+ ***************/
+
+test('the previous config.onEvent goes on getting the events', function () {
+
+  var events = [];
+
+  config.onEvent = function (event) {
+    events.push(event.type);
+  };
+
+  var inspector = new Inspector({ scheduler: new TestScheduler() }).start();
+
+  Observable.of(1, new TestScheduler()).subscribe(function () {}).dispose();
+
+  assert.deepEqual(events, ['subscribe', 'dispose']);
+  assert.equal(inspector.snapshot().subscriptions.length, 0);
+});
+
+test('stop puts config.onEvent back, forgets the subscriptions and the leak check', function () {
+
+  var scheduler = new TestScheduler();
+  var flagged = [];
+
+  function previous() {}
+
+  config.onEvent = previous;
+
+  var inspector = new Inspector({
+    scheduler: scheduler,
+    leakThreshold: 10,
+    onLeak: function (leak) {
+      flagged.push(leak);
+    }
+  }).start();
+
+  new Subject().asObservable().map(function (x) {
+    return x;
+  }).subscribe(function () {});
+
+  inspector.stop();
+  scheduler.advanceTo(100);
+
+  assert.equal(config.onEvent, previous);
+  assert.equal(inspector.isStarted, false);
+  assert.deepEqual(inspector.snapshot().subscriptions, []);
+  assert.deepEqual(flagged, []);
+});
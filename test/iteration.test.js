@@ -0,0 +1,136 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Observable, Subject, Scheduler, BufferOverflowError, tag } from '../reactive.js';
+
+/**
+ * Reads iterable with for await, giving the event loop a turn between
+ * values as a busy loop would
+ */
+async function read(iterable, limit) {
+
+  var values = [];
+
+  for await (var value of iterable) {
+    values.push(value);
+    if (values.length === limit) {
+      break;
+    }
+    await new Promise(function (resolve) {
+      setTimeout(resolve);
+    });
+  }
+
+  return values;
+}
+
+function source() {
+  return Observable.from([1, 2, 3, 4, 5, 6], Scheduler.immediate);
+}
+
+
+/*******************
+ * Async iteration *
+ *******************/
+
+test('for await reads every value, buffered without limit', async function () {
+  assert.deepEqual(await read(source()), [1, 2, 3, 4, 5, 6]);
+});
+
+test('leaving the loop disposes the subscription', async function () {
+
+  var isdisposed = false;
+  var subject = new Subject();
+  var stream = new Observable(function (obs) {
+    subject.subscribe(obs);
+    return function () {
+      isdisposed = true;
+    };
+  });
+
+  var iterator = stream[Symbol.asyncIterator]();
+  var pending = iterator.next();
+
+  subject.next(1);
+
+  assert.deepEqual(await pending, { value: 1, done: false });
+  await iterator.return();
+
+  assert.equal(isdisposed, true);
+  assert.deepEqual(await iterator.next(), { value: undefined, done: true });
+});
+
+test('errors are thrown by the loop once the values before are read', async function () {
+
+  var values = [];
+
+  await assert.rejects(async function () {
+    for await (var value of Observable.concat(Observable.of(1, Scheduler.immediate),
+      Observable.throwError('boom', Scheduler.immediate))) {
+      values.push(value);
+    }
+  }, function (err) {
+    return err === 'boom';
+  });
+
+  assert.deepEqual(values, [1]);
+});
+
+
+/***************************
+ * Backpressure strategies *
+ ***************************/
+
+function strategy(options) {
+
+  var dropped = [];
+
+  options.onOverflow = function (value) {
+    dropped.push(value);
+  };
+
+  return read(source().toAsyncIterable(options)).then(function (values) {
+    return { values: values, dropped: dropped };
+  });
+}
+
+test('dropOldest keeps the newest values', async function () {
+  assert.deepEqual(await strategy({ strategy: 'dropOldest', bufferSize: 2 }),
+    { values: [5, 6], dropped: [1, 2, 3, 4] });
+});
+
+test('dropNewest keeps the oldest values', async function () {
+  assert.deepEqual(await strategy({ strategy: 'dropNewest', bufferSize: 2 }),
+    { values: [1, 2], dropped: [3, 4, 5, 6] });
+});
+
+test('latest keeps the last value only', async function () {
+  assert.deepEqual(await strategy({ strategy: 'latest' }),
+    { values: [6], dropped: [1, 2, 3, 4, 5] });
+});
+
+test('buffer throws a BufferOverflowError after the buffered values', async function () {
+
+  var values = [];
+
+  await assert.rejects(async function () {
+    for await (var value of source().toAsyncIterable({ strategy: 'buffer', bufferSize: 3 })) {
+      values.push(value);
+    }
+  }, BufferOverflowError);
+
+  assert.deepEqual(values, [1, 2, 3]);
+});
+
+test('streams made by operators are iterated the same way', async function () {
+  assert.deepEqual(await read(source().pipe(tag('x')).toAsyncIterable({
+    strategy: 'dropOldest',
+    bufferSize: 2
+  })), [5, 6]);
+});
+
+test('an unknown strategy throws', function () {
+  assert.throws(function () {
+    source().toAsyncIterable({ strategy: 'x' })[Symbol.asyncIterator]();
+  }, /Unknown backpressure strategy/);
+});
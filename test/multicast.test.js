@@ -0,0 +1,179 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Observable, ReplaySubject, multicast, publish, refCount, share, shareReplay } from '../reactive.js';
+import { MarbleTester } from '../testing.js';
+
+/**
+ * Cold observable of marbles counting its subscriptions
+ */
+function counted(tester, marbles) {
+
+  var source = tester.cold(marbles);
+  var observable = Observable.defer(function () {
+    observable.subscriptions++;
+    return source;
+  });
+
+  observable.subscriptions = 0;
+
+  return observable;
+}
+
+
+/*********
+ * share *
+ *********/
+
+test('share subscribes once for the subscribers it has at the same time', function () {
+
+  var tester = new MarbleTester();
+  var source = counted(tester, '-a-b-c-d-|');
+  var shared = source.pipe(share());
+
+  tester.expectObservable(shared).toBe('-a-b-c-d-|');
+  tester.expectObservable(shared, '----^').toBe('-----c-d-|');
+  tester.flush();
+
+  assert.equal(source.subscriptions, 1);
+});
+
+test('share subscribes again once every subscriber has left', function () {
+
+  var tester = new MarbleTester();
+  var source = counted(tester, '-a-b-c-d-|');
+  var shared = source.pipe(share());
+
+  tester.expectObservable(shared, '^--!').toBe('-a-');
+  tester.expectObservable(shared, '------^').toBe('-------a-b-c-d-|');
+  tester.expectObservable(shared, '----------------^').toBe('-----------------a-b-c-d-|');
+  tester.flush();
+
+  assert.equal(source.subscriptions, 3);
+});
+
+
+/***************
+ * shareReplay *
+ ***************/
+
+test('shareReplay replays the last values, even after completion', function () {
+
+  var tester = new MarbleTester();
+  var source = counted(tester, '-a-b-c-|');
+  var shared = source.pipe(shareReplay(2));
+
+  tester.expectObservable(shared).toBe('-a-b-c-|');
+  tester.expectObservable(shared, '----^').toBe('----(ab)c-|');
+  tester.expectObservable(shared, '---------^').toBe('---------(bc|)');
+  tester.flush();
+
+  assert.equal(source.subscriptions, 1);
+});
+
+test('shareReplay keeps the source subscribed when its subscribers leave', function () {
+
+  var tester = new MarbleTester();
+  var source = counted(tester, '-a-b-c-|');
+  var shared = source.pipe(shareReplay(1));
+
+  tester.expectObservable(shared, '^--!').toBe('-a-');
+  tester.expectObservable(shared, '-----^').toBe('-----(bc)-|');
+  tester.flush();
+
+  assert.equal(source.subscriptions, 1);
+});
+
+test('shareReplay subscribes again after an error', function () {
+
+  var tester = new MarbleTester();
+  var source = counted(tester, '-a-#');
+  var shared = source.pipe(shareReplay(1));
+
+  tester.expectObservable(shared).toBe('-a-#');
+  tester.expectObservable(shared, '-----^').toBe('------a-#');
+  tester.flush();
+
+  assert.equal(source.subscriptions, 2);
+});
+
+
+/******************************
+ * publish, connect, refCount *
+ ******************************/
+
+test('a published stream emits once connected', function () {
+  MarbleTester.run(function (tester) {
+
+    var published = tester.cold('-a-b-|').pipe(publish());
+
+    tester.expectObservable(published).toBe('---a-b-|');
+    tester.scheduler.schedule(function () {
+      published.connect();
+    }, 2);
+  });
+});
+
+test('disposing the connection disconnects the source', function () {
+  MarbleTester.run(function (tester) {
+
+    var published = tester.cold('-a-b-|').pipe(publish());
+    var connection = published.connect();
+
+    tester.expectObservable(published).toBe('-a--');
+    tester.scheduler.schedule(function () {
+      connection.dispose();
+    }, 2);
+  });
+});
+
+test('connect returns the connection while connected', function () {
+
+  var published = counted(new MarbleTester(), '-a-|').pipe(publish());
+
+  assert.equal(published.connect(), published.connect());
+});
+
+test('a completed connectable connects again through a new subject', function () {
+
+  var tester = new MarbleTester();
+  var source = counted(tester, '-a|');
+  var published = source.pipe(publish());
+
+  published.connect();
+  tester.expectObservable(published).toBe('-a|');
+  tester.scheduler.schedule(function () {
+    published.connect();
+  }, 4);
+  tester.expectObservable(published, '---^').toBe('-----a|');
+  tester.flush();
+
+  assert.equal(source.subscriptions, 2);
+});
+
+test('refCount connects with the first subscriber and disconnects with the last', function () {
+
+  var tester = new MarbleTester();
+  var source = counted(tester, '-a-b-c-d-|');
+  var counting = source.pipe(publish(), refCount());
+
+  tester.expectObservable(counting, '^---!').toBe('-a-b');
+  tester.expectObservable(counting, '--^----!').toBe('---b-c-');
+  tester.expectObservable(counting, '---------^').toBe('----------a-b-c-d-|');
+  tester.flush();
+
+  assert.equal(source.subscriptions, 2);
+});
+
+test('multicast shares through the subjects of the factory', function () {
+  MarbleTester.run(function (tester) {
+
+    var replayed = tester.cold('-a-b-|').pipe(multicast(function () {
+      return new ReplaySubject();
+    }));
+
+    replayed.connect();
+
+    tester.expectObservable(replayed, '----^').toBe('----(ab)|');
+  });
+});
@@ -0,0 +1,174 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { Readable, Writable } from 'node:stream';
+
+import { Observable, Scheduler, toWritable } from '../reactive.js';
+
+/**
+ * Writable stream of objects recording what it writes, each write taking
+ * a timer turn
+ */
+function recorder(options) {
+
+  var stream = new Writable(Object.assign({
+    objectMode: true,
+    write: function (chunk, encoding, callback) {
+      setTimeout(function () {
+        stream.written.push(chunk);
+        callback();
+      });
+    }
+  }, options));
+
+  stream.written = [];
+
+  return stream;
+}
+
+
+/*************
+ * fromEvent *
+ *************/
+
+test('fromEvent listens to a Node EventEmitter', function () {
+
+  var emitter = new EventEmitter();
+  var values = [];
+
+  var subscription = Observable.fromEvent(emitter, 'data').subscribe(function (value) {
+    values.push(value);
+  });
+
+  emitter.emit('data', 1);
+  emitter.emit('data', 1, 2);
+  subscription.dispose();
+  emitter.emit('data', 3);
+
+  assert.deepEqual(values, [1, [1, 2]]);
+  assert.equal(emitter.listenerCount('data'), 0);
+});
+
+test('fromEvent listens to a jQuery-style object', function () {
+
+  var handlers = {};
+  var target = {
+    on: function (name, handler) {
+      handlers[name] = handler;
+    },
+    off: function (name) {
+      delete handlers[name];
+    }
+  };
+  var values = [];
+
+  var subscription = Observable.fromEvent(target, 'click').subscribe(function (value) {
+    values.push(value);
+  });
+
+  handlers.click('c');
+  subscription.dispose();
+
+  assert.deepEqual(values, ['c']);
+  assert.deepEqual(Object.keys(handlers), []);
+});
+
+test('fromEvent throws for a target without listener methods', function () {
+  assert.throws(function () {
+    Observable.fromEvent({}, 'data');
+  }, TypeError);
+});
+
+
+/****************
+ * fromReadable *
+ ****************/
+
+test('fromReadable emits the chunks of a readable stream', async function () {
+  assert.deepEqual(await Observable.fromReadable(Readable.from(['a', 'b', 'c']))
+    .toArray().toPromise(), ['a', 'b', 'c']);
+});
+
+test('fromReadable destroys the stream when disposed before its end', async function () {
+
+  var readable = Readable.from((function* () {
+    var i = 0;
+    while (true) {
+      yield i++;
+    }
+  })());
+
+  assert.deepEqual(await Observable.fromReadable(readable).take(3).toArray().toPromise(),
+    [0, 1, 2]);
+  await new Promise(function (resolve) {
+    setTimeout(resolve);
+  });
+  assert.equal(readable.destroyed, true);
+});
+
+
+/**************
+ * toWritable *
+ **************/
+
+test('toWritable emits each value once written, then completes once ended', async function () {
+
+  var writable = recorder();
+  var emitted = [];
+
+  await Observable.of(1, 2, 3, Scheduler.immediate).pipe(toWritable(writable))
+    .tap(function (value) {
+      emitted.push([value, writable.written.indexOf(value) > -1]);
+    })
+    .toPromise();
+
+  assert.deepEqual(emitted, [[1, true], [2, true], [3, true]]);
+  assert.equal(writable.writableFinished, true);
+});
+
+test('toWritable waits for drain before writing more', async function () {
+
+  var writable = recorder({ highWaterMark: 2 });
+  var writes = [];
+  var write = writable.write.bind(writable);
+
+  writable.write = function (chunk, callback) {
+    writes.push(writable.writableLength);
+    return write(chunk, callback);
+  };
+
+  var emitted = await Observable.from([1, 2, 3, 4, 5, 6, 7]).pipe(toWritable(writable))
+    .toArray().toPromise();
+
+  assert.deepEqual(emitted, [1, 2, 3, 4, 5, 6, 7]);
+  assert.deepEqual(writable.written, [1, 2, 3, 4, 5, 6, 7]);
+  assert.ok(writes.every(function (length) {
+    return length < 2;
+  }));
+});
+
+test('toWritable leaves the stream open with end false', async function () {
+
+  var writable = recorder();
+
+  var emitted = await Observable.of(1, 2, Scheduler.immediate)
+    .pipe(toWritable(writable, { end: false }))
+    .toArray().toPromise();
+
+  assert.deepEqual(emitted, [1, 2]);
+  assert.deepEqual(writable.written, [1, 2]);
+  assert.equal(writable.writableEnded, false);
+});
+
+test('toWritable errors with the stream', async function () {
+
+  var writable = new Writable({
+    objectMode: true,
+    write: function (chunk, encoding, callback) {
+      callback(new Error('disk full'));
+    }
+  });
+
+  await assert.rejects(Observable.of(1, Scheduler.immediate).pipe(toWritable(writable))
+    .toPromise(), /disk full/);
+});
@@ -0,0 +1,243 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Observable, Subject, Scheduler, EmptyError, firstValueFrom, lastValueFrom } from '../reactive.js';
+import { MarbleTester } from '../testing.js';
+
+var symbolObservable = typeof Symbol === 'function' && Symbol.observable || '@@observable';
+
+/**
+ * Resolves with the notifications of observable once it ends, values then
+ * '|' or '#' and the error
+ */
+function collect(observable) {
+  return new Promise(function (resolve) {
+
+    var notifications = [];
+
+    observable.subscribe(function (value) {
+      notifications.push(value);
+    }, function (err) {
+      notifications.push('#' + err);
+      resolve(notifications);
+    }, function () {
+      notifications.push('|');
+      resolve(notifications);
+    });
+  });
+}
+
+/**
+ * Stream mirroring subject, recording when it is disposed
+ */
+function disposable(subject) {
+
+  var observable = new Observable(function (obs) {
+    subject.subscribe(obs);
+    return function () {
+      observable.isdisposed = true;
+    };
+  });
+
+  observable.isdisposed = false;
+
+  return observable;
+}
+
+/**
+ * Stream of another library, made of the given marbles
+ */
+function foreign(tester, marbles) {
+
+  var stream = {
+    unsubscribed: 0
+  };
+
+  stream[symbolObservable] = function () {
+    return {
+      subscribe: function (observer) {
+        var subscription = tester.cold(marbles).subscribe(observer);
+        return {
+          unsubscribe: function () {
+            stream.unsubscribed++;
+            subscription.dispose();
+          }
+        };
+      }
+    };
+  };
+
+  return stream;
+}
+
+
+/***************
+ * fromPromise *
+ ***************/
+
+test('fromPromise emits the value of the promise then completes', async function () {
+  assert.deepEqual(await collect(Observable.fromPromise(Promise.resolve(5))), [5, '|']);
+});
+
+test('fromPromise errors with the rejection reason', async function () {
+  assert.deepEqual(await collect(Observable.fromPromise(Promise.reject('boom'))), ['#boom']);
+});
+
+test('fromPromise emits nothing once disposed', async function () {
+
+  var values = [];
+  var promise = Promise.resolve(5);
+
+  Observable.fromPromise(promise).subscribe(function (value) {
+    values.push(value);
+  }).dispose();
+  await promise;
+
+  assert.deepEqual(values, []);
+});
+
+
+/*************
+ * toPromise *
+ *************/
+
+test('toPromise resolves with the last value, undefined without one', async function () {
+  assert.equal(await Observable.of(1, 2, 3, Scheduler.immediate).toPromise(), 3);
+  assert.equal(await Observable.empty().toPromise(), undefined);
+});
+
+test('toPromise rejects with the error', async function () {
+  await assert.rejects(Observable.throwError('boom').toPromise(), function (err) {
+    return err === 'boom';
+  });
+});
+
+
+/*********************************
+ * firstValueFrom, lastValueFrom *
+ *********************************/
+
+test('firstValueFrom resolves with the first value and disposes the stream', async function () {
+
+  var subject = new Subject();
+  var stream = disposable(subject);
+  var promise = firstValueFrom(stream);
+
+  subject.next(1);
+  subject.next(2);
+
+  assert.equal(await promise, 1);
+  assert.equal(stream.isdisposed, true);
+});
+
+test('lastValueFrom resolves with the last value on completion', async function () {
+  assert.equal(await lastValueFrom(Observable.of(1, 2, 3, Scheduler.immediate)), 3);
+});
+
+test('firstValueFrom and lastValueFrom reject an empty stream with an EmptyError', async function () {
+  await assert.rejects(firstValueFrom(Observable.empty()), EmptyError);
+  await assert.rejects(lastValueFrom(Observable.empty()), EmptyError);
+});
+
+test('firstValueFrom and lastValueFrom resolve an empty stream with options.defaultValue', async function () {
+  assert.equal(await firstValueFrom(Observable.empty(), { defaultValue: 0 }), 0);
+  assert.equal(await lastValueFrom(Observable.empty(), { defaultValue: 0 }), 0);
+  assert.equal(await lastValueFrom(Observable.empty(), { defaultValue: undefined }), undefined);
+});
+
+test('firstValueFrom and lastValueFrom reject with the error', async function () {
+  await assert.rejects(firstValueFrom(Observable.throwError('boom')), function (err) {
+    return err === 'boom';
+  });
+  await assert.rejects(lastValueFrom(Observable.throwError('boom')), function (err) {
+    return err === 'boom';
+  });
+});
+
+
+/*********************
+ * fromAsyncIterable *
+ *********************/
+
+test('fromAsyncIterable emits the values of the iterable then completes', async function () {
+
+  async function* values() {
+    yield 1;
+    yield 2;
+  }
+
+  assert.deepEqual(await collect(Observable.fromAsyncIterable(values())), [1, 2, '|']);
+});
+
+test('fromAsyncIterable errors with the error of the iterable', async function () {
+
+  async function* failing() {
+    yield 1;
+    throw 'boom';
+  }
+
+  assert.deepEqual(await collect(Observable.fromAsyncIterable(failing())), [1, '#boom']);
+});
+
+test('disposing fromAsyncIterable returns the iterator', async function () {
+
+  var isreturned = false;
+  var subscription;
+
+  async function* endless() {
+    try {
+      for (var i = 0; ; i++) {
+        yield i;
+      }
+    } finally {
+      isreturned = true;
+    }
+  }
+
+  await new Promise(function (resolve) {
+    subscription = Observable.fromAsyncIterable(endless()).subscribe(function (value) {
+      if (value === 2) {
+        resolve();
+      }
+    });
+  });
+  subscription.dispose();
+  await new Promise(function (resolve) {
+    setTimeout(resolve);
+  });
+
+  assert.equal(isreturned, true);
+});
+
+
+/*********************
+ * Symbol.observable *
+ *********************/
+
+test('observables give themselves to Symbol.observable, subjects their observable', function () {
+
+  var observable = Observable.empty();
+  var subject = new Subject();
+
+  assert.equal(observable[symbolObservable](), observable);
+  assert.ok(subject[symbolObservable]() instanceof Observable);
+  assert.notEqual(subject[symbolObservable](), subject);
+});
+
+test('Observable.from mirrors the streams of other libraries', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(Observable.from(foreign(tester, '-a-b-|'))).toBe('-a-b-|');
+    tester.expectObservable(Observable.from(foreign(tester, '-a-#'))).toBe('-a-#');
+  });
+});
+
+test('disposing the mirror unsubscribes from the stream of the other library', function () {
+
+  var tester = new MarbleTester();
+  var stream = foreign(tester, '-a-b-c-|');
+
+  tester.expectObservable(Observable.from(stream), '^--!').toBe('-a-');
+  tester.flush();
+
+  assert.equal(stream.unsubscribed, 1);
+});
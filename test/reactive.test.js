@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Observable, TestScheduler, map, merge, sum, toArray } from '../reactive.js';
+
+/**
+ * Subscribes to observable, runs the scheduler and returns what it emitted
+ */
+function collect(observable, scheduler) {
+
+  var notifications = [];
+
+  observable.subscribe(function (value) {
+    notifications.push({ frame: scheduler.now(), kind: 'N', value: value });
+  }, function (err) {
+    notifications.push({ frame: scheduler.now(), kind: 'E', error: err });
+  }, function () {
+    notifications.push({ frame: scheduler.now(), kind: 'C' });
+  });
+
+  scheduler.flush();
+
+  return notifications;
+}
+
+/**
+ * Subscribes twice to observable, one after the other, and checks that both
+ * subscribers got the same values
+ */
+function assertResubscribable(observable, scheduler, expected) {
+
+  var first = collect(observable, scheduler);
+  var second = collect(observable, scheduler);
+
+  assert.deepEqual(second.map(withoutFrame), first.map(withoutFrame));
+  assert.deepEqual(first.map(withoutFrame), expected);
+}
+
+function withoutFrame(notification) {
+  var copy = Object.assign({}, notification);
+  delete copy.frame;
+  return copy;
+}
+
+
+/*********************
+ * Subscribing twice *
+ *********************/
+
+test('join emits the values of each subscription only', function () {
+
+  var scheduler = new TestScheduler();
+
+  assertResubscribable(Observable.range(1, 5, scheduler).join(), scheduler, [
+    { kind: 'N', value: [1, 2, 3, 4, 5] },
+    { kind: 'C' }
+  ]);
+});
+
+test('toArray emits the values of each subscription only', function () {
+
+  var scheduler = new TestScheduler();
+
+  assertResubscribable(Observable.range(1, 5, scheduler).pipe(toArray()), scheduler, [
+    { kind: 'N', value: [1, 2, 3, 4, 5] },
+    { kind: 'C' }
+  ]);
+});
+
+test('sum starts from 0 on each subscription', function () {
+
+  var scheduler = new TestScheduler();
+
+  assertResubscribable(Observable.range(1, 5, scheduler).pipe(sum()), scheduler, [
+    { kind: 'N', value: 1 },
+    { kind: 'N', value: 3 },
+    { kind: 'N', value: 6 },
+    { kind: 'N', value: 10 },
+    { kind: 'N', value: 15 },
+    { kind: 'C' }
+  ]);
+});
+
+test('merge completes on each subscription', function () {
+
+  var scheduler = new TestScheduler();
+  var merged = Observable.of(1, 2, scheduler).pipe(
+    merge(Observable.timer(5, undefined, scheduler).pipe(map(function () {
+      return 3;
+    })))
+  );
+
+  assertResubscribable(merged, scheduler, [
+    { kind: 'N', value: 1 },
+    { kind: 'N', value: 2 },
+    { kind: 'N', value: 3 },
+    { kind: 'C' }
+  ]);
+});
+
+test('subscriptions alive at the same time do not share state', function () {
+
+  var scheduler = new TestScheduler();
+  var total = Observable.interval(1, scheduler).take(4).pipe(sum());
+  var results = [];
+
+  total.subscribe(function (value) {
+    results.push(value);
+  });
+  total.subscribe(function (value) {
+    results.push(value);
+  });
+
+  scheduler.flush();
+
+  assert.deepEqual(results, [0, 0, 1, 1, 3, 3, 6, 6]);
+});
+
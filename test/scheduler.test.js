@@ -0,0 +1,221 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Observable, Scheduler, TestScheduler, config } from '../reactive.js';
+
+afterEach(function () {
+  config.onUnhandledError = undefined;
+});
+
+
+/*****************
+ * TestScheduler *
+ *****************/
+
+test('nothing runs until the clock moves', function () {
+
+  var scheduler = new TestScheduler();
+  var runs = [];
+
+  scheduler.schedule(function () {
+    runs.push(scheduler.now());
+  }, 5);
+
+  assert.deepEqual(runs, []);
+  assert.equal(scheduler.now(), 0);
+});
+
+test('advanceTo runs the work due up to time, then sets the clock', function () {
+
+  var scheduler = new TestScheduler();
+  var runs = [];
+
+  [3, 1, 8].forEach(function (delay) {
+    scheduler.schedule(function () {
+      runs.push(scheduler.now());
+    }, delay);
+  });
+
+  scheduler.advanceTo(5);
+
+  assert.deepEqual(runs, [1, 3]);
+  assert.equal(scheduler.now(), 5);
+});
+
+test('advanceBy moves the clock from the current time', function () {
+
+  var scheduler = new TestScheduler();
+  var ticks = [];
+
+  Observable.interval(10, scheduler).subscribe(function (value) {
+    ticks.push(value);
+  });
+
+  scheduler.advanceBy(25);
+  scheduler.advanceBy(10);
+
+  assert.deepEqual(ticks, [0, 1, 2]);
+  assert.equal(scheduler.now(), 35);
+});
+
+test('work due at the same time runs in the order it was scheduled', function () {
+
+  var scheduler = new TestScheduler();
+  var runs = [];
+
+  ['a', 'b', 'c'].forEach(function (name) {
+    scheduler.schedule(function () {
+      runs.push(name);
+    }, 2);
+  });
+
+  scheduler.flush();
+
+  assert.deepEqual(runs, ['a', 'b', 'c']);
+});
+
+test('flush runs the work scheduled while flushing', function () {
+
+  var scheduler = new TestScheduler();
+  var runs = [];
+
+  scheduler.schedule(function () {
+    runs.push(scheduler.now());
+    scheduler.schedule(function () {
+      runs.push(scheduler.now());
+    }, 4);
+  }, 1);
+
+  scheduler.flush();
+
+  assert.deepEqual(runs, [1, 5]);
+});
+
+test('disposed work does not run', function () {
+
+  var scheduler = new TestScheduler();
+  var isrun = false;
+
+  scheduler.schedule(function () {
+    isrun = true;
+  }, 1).dispose();
+
+  scheduler.flush();
+
+  assert.equal(isrun, false);
+});
+
+test('schedulePeriodic runs until disposed', function () {
+
+  var scheduler = new TestScheduler();
+  var runs = [];
+
+  var periodic = scheduler.schedulePeriodic(function () {
+    runs.push(scheduler.now());
+  }, 3);
+
+  scheduler.advanceTo(10);
+  periodic.dispose();
+  scheduler.advanceTo(20);
+
+  assert.deepEqual(runs, [3, 6, 9]);
+});
+
+
+/*************
+ * immediate *
+ *************/
+
+test('immediate runs work synchronously', function () {
+
+  var runs = [];
+
+  Scheduler.immediate.schedule(function () {
+    runs.push('work');
+  });
+
+  assert.deepEqual(runs, ['work']);
+});
+
+test('immediate queues the work scheduled from another work', function () {
+
+  var runs = [];
+
+  Scheduler.immediate.schedule(function () {
+    Scheduler.immediate.schedule(function () {
+      runs.push('inner');
+    });
+    runs.push('outer');
+  });
+
+  assert.deepEqual(runs, ['outer', 'inner']);
+});
+
+test('immediate runs the queued work when one throws, then rethrows', function () {
+
+  var runs = [];
+  var unhandled = [];
+
+  config.onUnhandledError = function (err) {
+    unhandled.push(err);
+  };
+
+  assert.throws(function () {
+    Scheduler.immediate.schedule(function () {
+      Scheduler.immediate.schedule(function () {
+        throw 'second';
+      });
+      Scheduler.immediate.schedule(function () {
+        runs.push('queued');
+      });
+      throw 'first';
+    });
+  }, function (err) {
+    return err === 'first';
+  });
+
+  assert.deepEqual(runs, ['queued']);
+  assert.deepEqual(unhandled, ['second']);
+
+  Scheduler.immediate.schedule(function () {
+    runs.push('next');
+  });
+
+  assert.deepEqual(runs, ['queued', 'next']);
+});
+
+
+/***************
+ * asap, async *
+ ***************/
+
+test('asap runs work in a microtask', async function () {
+
+  var runs = [];
+
+  Scheduler.asap.schedule(function () {
+    runs.push('asap');
+  });
+  runs.push('sync');
+
+  await Promise.resolve();
+
+  assert.deepEqual(runs, ['sync', 'asap']);
+});
+
+test('async runs work on a timer', async function () {
+
+  var runs = [];
+
+  Scheduler.async.schedule(function () {
+    runs.push('async');
+  }, 1);
+
+  await Promise.resolve();
+  assert.deepEqual(runs, []);
+
+  await new Promise(function (resolve) {
+    setTimeout(resolve, 5);
+  });
+  assert.deepEqual(runs, ['async']);
+});
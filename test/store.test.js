@@ -0,0 +1,306 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Observable, Subject, Scheduler } from '../reactive.js';
+import { Store, combineReducers } from '../store.js';
+
+function counter(count, action) {
+  switch (action.type) {
+    case 'add':
+      return (count || 0) + action.value;
+    case 'fail':
+      throw new Error('cannot reduce');
+    default:
+      return count === undefined ? 0 : count;
+  }
+}
+
+function list(items, action) {
+  return action.type === 'push' ? (items || []).concat(action.item) : items || [];
+}
+
+function collect(observable) {
+
+  var values = [];
+
+  observable.subscribe(function (value) {
+    values.push(value);
+  });
+
+  return values;
+}
+
+
+/************
+ * dispatch *
+ ************/
+
+test('reducers give the initial state, then reduce each action', function () {
+
+  var store = new Store({ count: counter, items: list });
+  var states = collect(store.state$);
+
+  store.dispatch({ type: 'add', value: 2 });
+  store.dispatch({ type: 'push', item: 'a' });
+
+  assert.deepEqual(states, [
+    { count: 0, items: [] },
+    { count: 2, items: [] },
+    { count: 2, items: ['a'] }
+  ]);
+  assert.deepEqual(store.getState(), { count: 2, items: ['a'] });
+});
+
+test('combined reducers keep the state object when no key changed', function () {
+
+  var reduce = combineReducers({ count: counter });
+  var state = reduce(undefined, { type: '@@init' });
+
+  assert.equal(reduce(state, { type: 'other' }), state);
+  assert.notEqual(reduce(state, { type: 'add', value: 1 }), state);
+});
+
+test('actions dispatched while dispatching are queued and run next', function () {
+
+  var store = new Store(counter);
+  var log = [];
+
+  store.state$.subscribe(function (count) {
+    log.push('state ' + count);
+    if (count === 1) {
+      store.dispatch({ type: 'add', value: 10 });
+    }
+  });
+  store.actions$.subscribe(function (action) {
+    log.push('action ' + action.value);
+  });
+
+  store.dispatch({ type: 'add', value: 1 });
+
+  assert.deepEqual(log, ['state 0', 'state 1', 'action 1', 'state 11', 'action 10']);
+});
+
+test('a reducer throwing drops the queued actions and leaves the store usable', function () {
+
+  var store = new Store(counter);
+
+  store.actions$.subscribe(function (action) {
+    if (action.value === 1) {
+      store.dispatch({ type: 'fail' });
+      store.dispatch({ type: 'add', value: 100 });
+    }
+  });
+
+  assert.throws(function () {
+    store.dispatch({ type: 'add', value: 1 });
+  }, /cannot reduce/);
+
+  store.dispatch({ type: 'add', value: 2 });
+
+  assert.equal(store.getState(), 3);
+});
+
+
+/**********
+ * select *
+ **********/
+
+test('select emits only when the selected part changes', function () {
+
+  var store = new Store({ count: counter, items: list });
+  var counts = collect(store.select('count'));
+
+  store.dispatch({ type: 'push', item: 'a' });
+  store.dispatch({ type: 'add', value: 1 });
+  store.dispatch({ type: 'push', item: 'b' });
+
+  assert.deepEqual(counts, [0, 1]);
+});
+
+test('select computes a selector once per state, whatever the subscribers', function () {
+
+  var store = new Store({ count: counter });
+  var calls = 0;
+  var doubled = store.select(function (state) {
+    calls++;
+    return state.count * 2;
+  });
+
+  var first = collect(doubled);
+  var second = collect(doubled);
+
+  store.dispatch({ type: 'add', value: 3 });
+
+  assert.deepEqual(first, [0, 6]);
+  assert.deepEqual(second, [0, 6]);
+  assert.equal(calls, 2);
+});
+
+test('select returns the same stream for the same selector', function () {
+
+  var store = new Store({ count: counter });
+
+  function count(state) {
+    return state.count;
+  }
+
+  assert.equal(store.select(count), store.select(count));
+  assert.equal(store.select('count'), store.select('count'));
+  assert.notEqual(store.select(function (state) {
+    return state.count;
+  }), store.select(function (state) {
+    return state.count;
+  }));
+});
+
+
+/**********
+ * effect *
+ **********/
+
+test('effects dispatch the actions they map an action to', function () {
+
+  var store = new Store(counter);
+
+  store.effect('twice', function (action) {
+    return Observable.of({ type: 'add', value: action.value },
+      { type: 'add', value: action.value }, Scheduler.immediate);
+  });
+
+  store.dispatch({ type: 'twice', value: 5 });
+
+  assert.equal(store.getState(), 10);
+});
+
+test('effects get the state and may return subjects', function () {
+
+  var store = new Store(counter);
+  var answers = new Subject();
+  var seen = [];
+
+  store.effect('ask', function (action, state) {
+    seen.push(state);
+    return answers;
+  });
+
+  store.dispatch({ type: 'add', value: 4 });
+  store.dispatch({ type: 'ask' });
+  answers.next({ type: 'add', value: 1 });
+
+  assert.deepEqual(seen, [4]);
+  assert.equal(store.getState(), 5);
+});
+
+test('effects dispatch promised actions, and stop once disposed', async function () {
+
+  var store = new Store(counter);
+  var subscription = store.effect('load', function () {
+    return Promise.resolve({ type: 'add', value: 7 });
+  });
+
+  store.dispatch({ type: 'load' });
+  await new Promise(function (resolve) {
+    setTimeout(resolve);
+  });
+
+  subscription.dispose();
+  store.dispatch({ type: 'load' });
+  await new Promise(function (resolve) {
+    setTimeout(resolve);
+  });
+
+  assert.equal(store.getState(), 7);
+});
+
+
+/***************
+ * Time travel *
+ ***************/
+
+function travelled() {
+
+  var store = new Store(counter);
+
+  [1, 2, 3].forEach(function (value) {
+    store.dispatch({ type: 'add', value: value });
+  });
+
+  return store;
+}
+
+function states(store) {
+  return store.history().map(function (entry) {
+    return entry.state;
+  });
+}
+
+test('history keeps each action with the state it led to', function () {
+
+  var history = travelled().history();
+
+  assert.deepEqual(history[0], { action: { type: '@@init' }, state: 0, isCurrent: false });
+  assert.deepEqual(history[3], { action: { type: 'add', value: 3 }, state: 6, isCurrent: true });
+});
+
+test('undo and redo move through the history, emitting the states', function () {
+
+  var store = travelled();
+  var values = collect(store.state$);
+
+  store.undo();
+  store.undo();
+  store.redo();
+
+  assert.deepEqual(values, [6, 3, 1, 3]);
+  assert.equal(store.history()[2].isCurrent, true);
+});
+
+test('undo and redo stop at the ends of the history', function () {
+
+  var store = travelled();
+
+  store.redo();
+  assert.equal(store.getState(), 6);
+
+  store.jumpTo(0);
+  store.undo();
+  assert.equal(store.getState(), 0);
+});
+
+test('dispatching after a jump forgets the entries after it', function () {
+
+  var store = travelled();
+
+  store.jumpTo(1);
+  store.dispatch({ type: 'add', value: 10 });
+
+  assert.deepEqual(states(store), [0, 1, 11]);
+});
+
+test('jumpTo throws a RangeError out of the history', function () {
+
+  var store = travelled();
+
+  assert.throws(function () {
+    store.jumpTo(4);
+  }, RangeError);
+  assert.throws(function () {
+    store.jumpTo(-1);
+  }, RangeError);
+});
+
+test('historySize keeps the last states only', function () {
+
+  var store = new Store(counter, undefined, { historySize: 2 });
+
+  [1, 2, 3].forEach(function (value) {
+    store.dispatch({ type: 'add', value: value });
+  });
+
+  assert.deepEqual(states(store), [3, 6]);
+
+  store.undo();
+  store.undo();
+
+  assert.equal(store.getState(), 3);
+});
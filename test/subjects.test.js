@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Subject, BehaviorSubject, ReplaySubject, AsyncSubject } from '../reactive.js';
+import { MarbleTester } from '../testing.js';
+
+/**
+ * Feeds subject with marbles, then checks what subscribers joining at the
+ * frames of the subscription marbles get
+ */
+function expectSubject(subject, marbles, expectations) {
+  MarbleTester.run(function (tester) {
+
+    tester.hot(marbles).subscribe(subject);
+
+    Object.keys(expectations).forEach(function (subscription) {
+      tester.expectObservable(subject.asObservable(), subscription)
+        .toBe(expectations[subscription]);
+    });
+  });
+}
+
+
+/***********
+ * Subject *
+ ***********/
+
+test('subjects give subscribers what comes after they join', function () {
+  expectSubject(new Subject(), '-a-b-c-|', {
+    '^': '-a-b-c-|',
+    '--^': '---b-c-|',
+    '---------^': '---------|'
+  });
+});
+
+test('subjects tell late subscribers how they errored', function () {
+  expectSubject(new Subject(), '-a-#', {
+    '-----^': '-----#'
+  });
+});
+
+
+/*******************
+ * BehaviorSubject *
+ *******************/
+
+test('a behavior subject gives its current value to each subscriber', function () {
+  expectSubject(new BehaviorSubject('i'), '--a--b--|', {
+    '^': 'i-a--b--|',
+    '---^': '---a-b--|',
+    '---------^': '---------|'
+  });
+});
+
+test('getValue returns the current value, or throws the error', function () {
+
+  var subject = new BehaviorSubject(1);
+
+  subject.next(2);
+  assert.equal(subject.getValue(), 2);
+
+  subject.complete();
+  subject.next(3);
+  assert.equal(subject.getValue(), 2);
+
+  var errored = new BehaviorSubject(1);
+
+  errored.error('boom');
+  assert.throws(function () {
+    errored.getValue();
+  }, function (err) {
+    return err === 'boom';
+  });
+});
+
+
+/*****************
+ * ReplaySubject *
+ *****************/
+
+test('a replay subject replays the last bufferSize values', function () {
+  expectSubject(new ReplaySubject(2), '-a-b-c-|', {
+    '^': '-a-b-c-|',
+    '------^': '------(bc)|',
+    '---------^': '---------(bc|)'
+  });
+});
+
+test('a replay subject replays the values no older than windowTime', function () {
+  MarbleTester.run(function (tester) {
+
+    var subject = new ReplaySubject(undefined, 3, tester.scheduler);
+
+    tester.hot('-a-b-c-----').subscribe(subject);
+
+    tester.expectObservable(subject.asObservable(), '------^--!').toBe('------(bc)');
+    tester.expectObservable(subject.asObservable(), '---------^!').toBe('----------');
+  });
+});
+
+test('a replay subject replays its values before its error', function () {
+  expectSubject(new ReplaySubject(), '-a-#', {
+    '-----^': '-----(a#)'
+  });
+});
+
+
+/****************
+ * AsyncSubject *
+ ****************/
+
+test('an async subject emits its last value on completion, to late subscribers too', function () {
+  expectSubject(new AsyncSubject(), '-a-b-c-|', {
+    '^': '-------(c|)',
+    '---^': '-------(c|)',
+    '---------^': '---------(c|)'
+  });
+});
+
+test('an async subject emits nothing when it errors or has no value', function () {
+  expectSubject(new AsyncSubject(), '-a-#', {
+    '^': '---#',
+    '-----^': '-----#'
+  });
+  expectSubject(new AsyncSubject(), '---|', {
+    '^': '---|'
+  });
+});
@@ -0,0 +1,141 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  Observable, Subscription, DisposeError, Scheduler,
+  elementAt, filter, first, map, take, takeWhile
+} from '../reactive.js';
+
+/****************
+ * Subscription *
+ ****************/
+
+test('dispose runs the teardown and the children once', function () {
+
+  var calls = [];
+  var subscription = new Subscription(function () {
+    calls.push('teardown');
+  });
+
+  subscription.add(function () {
+    calls.push('child');
+  });
+  subscription.add(new Subscription(function () {
+    calls.push('subscription');
+  }));
+
+  subscription.dispose();
+  subscription.dispose();
+
+  assert.equal(subscription.closed, true);
+  assert.deepEqual(calls, ['teardown', 'child', 'subscription']);
+});
+
+test('a child added to a closed subscription is disposed right away', function () {
+
+  var subscription = new Subscription();
+  var isdisposed = false;
+
+  subscription.dispose();
+  subscription.add(function () {
+    isdisposed = true;
+  });
+
+  assert.equal(isdisposed, true);
+});
+
+test('a removed child is not disposed along', function () {
+
+  var subscription = new Subscription();
+  var isdisposed = false;
+  var child = subscription.add(function () {
+    isdisposed = true;
+  });
+
+  subscription.remove(child);
+  subscription.dispose();
+
+  assert.equal(isdisposed, false);
+});
+
+test('errors thrown by teardowns are collected in a DisposeError', function () {
+
+  var subscription = new Subscription(function () {
+    throw new Error('a');
+  });
+  var isdisposed = false;
+
+  subscription.add(new Subscription(function () {
+    throw new Error('b');
+  }));
+  subscription.add(function () {
+    isdisposed = true;
+  });
+
+  assert.throws(function () {
+    subscription.dispose();
+  }, function (err) {
+    return err instanceof DisposeError && err.errors.map(function (error) {
+      return error.message;
+    }).join() === 'a,b';
+  });
+  assert.equal(isdisposed, true);
+});
+
+
+/********************************
+ * Stopping synchronous sources *
+ ********************************/
+
+function* endless() {
+  var i = 0;
+  while (true) {
+    yield i++;
+  }
+}
+
+function collect(observable) {
+
+  var values = [];
+
+  observable.subscribe(function (value) {
+    values.push(value);
+  }, undefined, function () {
+    values.push('|');
+  });
+
+  return values;
+}
+
+test('take stops an endless synchronous source', function () {
+  assert.deepEqual(collect(Observable.from(endless(), Scheduler.immediate).pipe(take(3))),
+    [0, 1, 2, '|']);
+  assert.deepEqual(collect(Observable.range(0, Infinity, Scheduler.immediate).take(3)),
+    [0, 1, 2, '|']);
+});
+
+test('take stops an endless synchronous source through other operators', function () {
+
+  var source = Observable.generate(0, function () {
+    return true;
+  }, function (x) {
+    return x + 1;
+  }, Scheduler.immediate);
+
+  assert.deepEqual(collect(source.pipe(map(function (x) {
+    return x * 2;
+  }), take(3))), [0, 2, 4, '|']);
+});
+
+test('first, takeWhile and elementAt stop an endless synchronous source', function () {
+
+  var source = Observable.range(1, Infinity, Scheduler.immediate).pipe(filter(function (x) {
+    return x % 2 === 0;
+  }));
+
+  assert.deepEqual(collect(source.pipe(first())), [2, '|']);
+  assert.deepEqual(collect(source.pipe(takeWhile(function (x) {
+    return x < 6;
+  }))), [2, 4, '|']);
+  assert.deepEqual(collect(source.pipe(elementAt(2))), [6, '|']);
+});
@@ -0,0 +1,165 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Scheduler, EmptyError, map } from '../reactive.js';
+import { MarbleTester, parseMarbles, readDiagrams } from '../testing.js';
+
+
+/***********
+ * Marbles *
+ ***********/
+
+test('cold observables play from the start for each subscriber', function () {
+  MarbleTester.run(function (tester) {
+
+    var source = tester.cold('-a-b-|');
+
+    tester.expectObservable(source).toBe('-a-b-|');
+    tester.expectObservable(source, '--^').toBe('---a-b-|');
+  });
+});
+
+test('operators run on marbles', function () {
+
+  var values = { 5: 5, 9: 9, 2: 2, 7: 7, 3: 3, 4: 4 };
+
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-5-9-2-7-3-4-|', values).filter(function (x) {
+      return x > 4;
+    })).toBe('-5-9---7-----|', values);
+
+    tester.expectObservable(tester.cold('-5-9-2-|', values).take(2))
+      .toBe('-5-(9|)', values);
+  });
+});
+
+test('hot observables count their frames from ^', function () {
+  MarbleTester.run(function (tester) {
+
+    var source = tester.hot('-a-^-b-c-|');
+
+    tester.expectObservable(source).toBe('--b-c-|');
+    tester.expectObservable(source, '^--!').toBe('--b');
+  });
+});
+
+test('flush throws when an observable does not match its marbles', function () {
+  assert.throws(function () {
+    MarbleTester.run(function (tester) {
+      tester.expectObservable(tester.cold('-a|')).toBe('-b|');
+    });
+  }, /does not match marbles/);
+});
+
+test('marbles read groups in one frame, and values through the values object', function () {
+  assert.deepEqual(parseMarbles('-(ab|)', { a: 1 }), [
+    { frame: 1, kind: 'N', value: 1 },
+    { frame: 1, kind: 'N', value: 'b' },
+    { frame: 1, kind: 'C' }
+  ]);
+});
+
+
+/**********
+ * Errors *
+ **********/
+
+test('errors match by name and message', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('--|').first()).toBe('--#', null, new EmptyError());
+  });
+});
+
+test('errors with another message do not match', function () {
+  assert.throws(function () {
+    MarbleTester.run(function (tester) {
+      tester.expectObservable(tester.cold('--#', null, new Error('late')))
+        .toBe('--#', null, new Error('early'));
+    });
+  }, /error\(Error: late\)/);
+});
+
+
+/************
+ * Diagrams *
+ ************/
+
+var code = [
+  '/**',
+  ' * Doubles the values',
+  ' * ',
+  ' * -1-10-|',
+  ' * ',
+  ' * double()',
+  ' * ',
+  ' * -2-20-|',
+  ' * ',
+  ' * double(3)',
+  ' * ',
+  ' * -3-30-|',
+  ' */',
+  'function double(times) {',
+  '',
+  '/**',
+  ' * Not a diagram',
+  ' * ',
+  ' * debug()',
+  ' * ',
+  ' * logs everything',
+  ' */',
+  'Observable.silent = function () {'
+].join('\n');
+
+test('readDiagrams reads the inputs, call and outputs of doc comments', function () {
+  assert.deepEqual(readDiagrams(code), [
+    { name: 'double', isstatic: false, inputs: ['-1-10-|'], call: 'double()', outputs: ['-2-20-|'] },
+    { name: 'double', isstatic: false, inputs: ['-1-10-|'], call: 'double(3)', outputs: ['-3-30-|'] }
+  ]);
+});
+
+test('diagram values are numbers, arrays and objects taking one frame', function () {
+  MarbleTester.runDiagram({
+    name: 'map',
+    isstatic: false,
+    inputs: ['-1-10-|'],
+    call: 'map(x -> [x, { v: x }])',
+    outputs: ['-[1,{v:1}]-[10,{v:10}]-|']
+  }, { map: map });
+});
+
+test('diagram calls take marbles as cold observables', function () {
+  MarbleTester.runDiagram({
+    name: 'concat',
+    isstatic: true,
+    inputs: ['-a-|'],
+    call: 'concat(a, --b|)',
+    outputs: ['-a---b|']
+  }, {});
+});
+
+test('diagram inner streams are compared from the frame they are emitted', function () {
+  MarbleTester.runDiagram({
+    name: 'map',
+    isstatic: false,
+    inputs: ['--A-|', 'A: -1|'],
+    call: 'map(inner -> inner)',
+    outputs: ['--B-|', 'B: -1|']
+  }, { map: map });
+});
+
+test('a wrong diagram throws, leaving Scheduler.async as it was', function () {
+
+  var async = Scheduler.async;
+
+  assert.throws(function () {
+    MarbleTester.runDiagram({
+      name: 'of',
+      isstatic: true,
+      inputs: [],
+      call: 'of(1, 2)',
+      outputs: ['-1-2-|']
+    }, {});
+  }, /does not match marbles/);
+
+  assert.equal(Scheduler.async, async);
+});
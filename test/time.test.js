@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+
+import { MarbleTester } from '../testing.js';
+
+
+/****************
+ * debounceTime *
+ ****************/
+
+test('debounceTime emits a value once the source has been quiet for dueTime', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-bc-----d-e-|').debounceTime(3, tester.scheduler))
+      .toBe('-------c------(e|)');
+  });
+});
+
+test('debounceTime sends errors right away, dropping the pending value', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-#').debounceTime(3, tester.scheduler))
+      .toBe('---#');
+  });
+});
+
+
+/****************
+ * throttleTime *
+ ****************/
+
+test('throttleTime emits the first value of each window by default', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-b-c----d-e-f-|').throttleTime(4, undefined,
+      tester.scheduler)).toBe('-a--------d-----|');
+  });
+});
+
+test('throttleTime with trailing emits the last value of each window too', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-b-c----d-e-f-|').throttleTime(4,
+      { trailing: true }, tester.scheduler)).toBe('-a---c----d---f-|');
+  });
+});
+
+test('throttleTime with trailing only emits the last value of each window', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-b-c----d-e-f-|').throttleTime(4,
+      { leading: false, trailing: true }, tester.scheduler)).toBe('-----c--------f-|');
+  });
+});
+
+test('throttleTime emits the trailing value on completion', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-b|').throttleTime(4, { trailing: true },
+      tester.scheduler)).toBe('-a--(b|)');
+  });
+});
+
+
+/*************************
+ * auditTime, sampleTime *
+ *************************/
+
+test('auditTime emits the last value of the window a value opens', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-b-c----d-e-f-|').auditTime(4, tester.scheduler))
+      .toBe('-----c--------f-|');
+  });
+});
+
+test('sampleTime emits the last value every period, if it is new', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-b-c------d-e-f-|').sampleTime(4, tester.scheduler))
+      .toBe('----b---c---d---f-|');
+  });
+});
+
+
+/*********
+ * delay *
+ *********/
+
+test('delay shifts values and completion', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-b-c-|').delay(3, tester.scheduler))
+      .toBe('----a-b-c-|');
+  });
+});
+
+test('delay does not delay errors', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-#').delay(3, tester.scheduler)).toBe('---#');
+  });
+});
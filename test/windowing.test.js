@@ -0,0 +1,150 @@
+import { test } from 'node:test';
+
+import { MarbleTester } from '../testing.js';
+
+var arrays = {
+  a: ['a'],
+  b: ['b'],
+  w: ['a', 'b'],
+  x: ['b', 'c'],
+  y: ['c', 'd'],
+  z: ['d', 'e'],
+  e: ['e'],
+  u: ['c', 'd', 'e'],
+  v: []
+};
+
+/**
+ * Turns each window into the array of its values, emitted when it ends
+ */
+function collect(windows) {
+  return windows.mergeMap(function (window) {
+    return window.toArray();
+  });
+}
+
+
+/**********
+ * buffer *
+ **********/
+
+test('buffer emits the values collected each time notifier emits', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-b-c-d-e-|').buffer(tester.cold('----x---x')))
+      .toBe('----w---y--(e|)', arrays);
+  });
+});
+
+test('buffer emits empty buffers, but not on completion', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-----|').buffer(tester.cold('--x-x---x')))
+      .toBe('--a-v--|', arrays);
+  });
+});
+
+test('buffer sends the errors of the source and notifier', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-#').buffer(tester.cold('----x'))).toBe('---#');
+    tester.expectObservable(tester.cold('-a-b|').buffer(tester.cold('--#'))).toBe('--#');
+  });
+});
+
+
+/***************
+ * bufferCount *
+ ***************/
+
+test('bufferCount emits buffers of size values', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-b-c-d-e-|').bufferCount(2))
+      .toBe('---w---y---(e|)', arrays);
+  });
+});
+
+test('bufferCount starts a buffer every values', function () {
+  MarbleTester.run(function (tester) {
+
+    var source = tester.cold('-a-b-c-d-e-|');
+
+    tester.expectObservable(source.bufferCount(2, 1)).toBe('---w-x-y-z-(e|)', arrays);
+    tester.expectObservable(source.bufferCount(2, 3)).toBe('---w-----z-|', arrays);
+  });
+});
+
+
+/**************************
+ * bufferTime, bufferWhen *
+ **************************/
+
+test('bufferTime emits the values collected every timeSpan', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-b-c-d-e-|').bufferTime(4, tester.scheduler))
+      .toBe('----w---y--(e|)', arrays);
+  });
+});
+
+test('bufferWhen emits the values collected until each closing stream emits', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-b-c-d-e-|').bufferWhen(function () {
+      return tester.cold('----x');
+    })).toBe('----w---y--(e|)', arrays);
+  });
+});
+
+test('bufferWhen sends the errors closingSelector throws', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(tester.cold('-a-b|').bufferWhen(function () {
+      throw 'no closing';
+    })).toBe('#', null, 'no closing');
+  });
+});
+
+
+/**********
+ * window *
+ **********/
+
+test('window starts a window right away and each time notifier emits', function () {
+  MarbleTester.run(function (tester) {
+
+    var windows = tester.cold('-a-b-c-d-e-|').window(tester.cold('----x'));
+
+    tester.expectObservable(windows.map(function () {
+      return 'o';
+    })).toBe('o---o------|');
+    tester.expectObservable(collect(windows)).toBe('----w------(u|)', arrays);
+  });
+});
+
+test('window sends the errors of the source to the open window too', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(collect(tester.cold('-a-#').window(tester.cold('-----x'))))
+      .toBe('---#');
+  });
+});
+
+
+/***************************
+ * windowCount, windowTime *
+ ***************************/
+
+test('windowCount ends windows after size values', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(collect(tester.cold('-a-b-c-d-e-|').windowCount(2)))
+      .toBe('---w---y---(e|)', arrays);
+  });
+});
+
+test('windowCount starts a window every values', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(collect(tester.cold('-a-b-c-d-e-|').windowCount(2, 1)))
+      .toBe('---w-x-y-z-(ev|)', arrays);
+  });
+});
+
+test('windowTime starts a window every timeSpan', function () {
+  MarbleTester.run(function (tester) {
+    tester.expectObservable(collect(tester.cold('-a-b-c-d-e-|').windowTime(4,
+      tester.scheduler))).toBe('----w---y--(e|)', arrays);
+  });
+});
@@ -0,0 +1,611 @@
+/**
+ * Marble diagram testing on top of the TestScheduler
+ */
+
+'use strict';
+
+import { Observable, Observer, Subject, Subscription, Scheduler, TestScheduler } from './reactive.js';
+
+/*****************
+ * Marble syntax *
+ *****************/
+
+/**
+ * Marbles are read one character per frame, a frame being 1ms of virtual
+ * time. The diagrams of reactive.js doc comments are written the same way,
+ * with a few more value forms (see readDiagrams).
+ *
+ * '-'     one frame without event
+ * '|'     completion
+ * '#'     error
+ * '^'     subscription point, in a hot observable (frame 0, the frames
+ *         before it being negative) or a subscription marble
+ * '!'     disposal point, in a subscription marble
+ * '(ab)'  events emitted in the same frame
+ * ' '     ignored, to align diagrams
+ * '>'     ignored, the stream goes on
+ *
+ * Any other character is a value, looked up in the values object when given.
+ *
+ * -a-b-|  with { a: 1, b: 2 }
+ *
+ * [{ frame: 1, kind: 'N', value: 1 },
+ *  { frame: 3, kind: 'N', value: 2 },
+ *  { frame: 5, kind: 'C' }]
+ */
+function parseMarbles(marbles, values, error) {
+
+  var notifications = [];
+  var origin = marbles.indexOf('^');
+  var frame = 0;
+  var group = -1;
+
+  for (var i = 0; i < marbles.length; i++) {
+
+    var c = marbles[i];
+    var time = group > -1 ? group : frame;
+
+    switch (c) {
+      case ' ':
+      case '>':
+        break;
+      case '-':
+      case '^':
+        frame++;
+        break;
+      case '(':
+        group = frame;
+        break;
+      case ')':
+        group = -1;
+        frame++;
+        break;
+      case '|':
+        notifications.push({ frame: time, kind: 'C' });
+        if (group === -1) frame++;
+        break;
+      case '#':
+        notifications.push({ frame: time, kind: 'E', error: error === undefined ? 'error' : error });
+        if (group === -1) frame++;
+        break;
+      default:
+        notifications.push({
+          frame: time,
+          kind: 'N',
+          value: values && values.hasOwnProperty(c) ? values[c] : c
+        });
+        if (group === -1) frame++;
+    }
+  }
+
+  // Hot observables count their frames from the subscription point
+  if (origin > -1) {
+    var offset = framesBefore(marbles, origin);
+    notifications = notifications.map(function (notification) {
+      var shifted = Object.assign({}, notification);
+      shifted.frame -= offset;
+      return shifted;
+    });
+  }
+
+  return notifications;
+}
+
+/**
+ * Reads the subscription and disposal frames of a subscription marble,
+ * '^' and '!' taking one frame each
+ *
+ * --^---!  =>  { subscribed: 2, disposed: 6 }
+ */
+function parseSubscription(marbles) {
+
+  var subscribe = marbles.indexOf('^');
+  var dispose = marbles.indexOf('!');
+
+  return {
+    subscribed: subscribe > -1 ? framesBefore(marbles, subscribe) : 0,
+    disposed: dispose > -1 ? framesBefore(marbles, dispose) : Infinity
+  };
+}
+
+function framesBefore(marbles, index) {
+  // Counted from the start, '^' taking its frame
+  return parseMarbles(marbles.slice(0, index).replace(/\^/g, '-') + 'x')
+    .pop().frame;
+}
+
+function render(notifications) {
+  return notifications.map(function (notification) {
+    switch (notification.kind) {
+      case 'N':
+        return notification.frame + ': next(' + show(notification.value) + ')';
+      case 'E':
+        return notification.frame + ': error(' + show(notification.error) + ')';
+      default:
+        return notification.frame + ': complete';
+    }
+  }).join('\n');
+}
+
+function show(value) {
+
+  if (value === anyError) {
+    return 'any';
+  }
+
+  if (value instanceof Error) {
+    return value.name + ': ' + value.message;
+  }
+
+  return JSON.stringify(value);
+}
+
+/**
+ * Expected error matching whatever error, for '#' in diagrams
+ */
+var anyError = {};
+
+/**
+ * Compares notifications, errors by name and message: the stack they own
+ * differs from one error to another
+ */
+function deepEqual(a, b) {
+
+  if (a === b || b === anyError) {
+    return true;
+  }
+
+  if (a instanceof Error && b instanceof Error) {
+    return a.name === b.name && a.message === b.message;
+  }
+
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+    return false;
+  }
+
+  if (Array.isArray(a) !== Array.isArray(b)) {
+    return false;
+  }
+
+  var keys = Object.keys(a);
+
+  return keys.length === Object.keys(b).length && keys.every(function (key) {
+    return deepEqual(a[key], b[key]);
+  });
+}
+
+
+/************
+ * Diagrams *
+ ************/
+
+/**
+ * Reads the marble diagrams of the doc comments of a module, so that they
+ * can be run as specs. A diagram is a paragraph of input marbles (the
+ * source of an operator, or the streams a, b... given to a creation
+ * function), a paragraph holding the call, then one of output marbles:
+ *
+ * -5-9-2-7-3-4---->
+ *
+ * filter(x -> x > 4)
+ *
+ * -5-9---7-------->
+ *
+ * A creation function may have no input, and a call right after an output
+ * runs on the same inputs. Diagrams read a little more freely than marbles:
+ *
+ * - a run of digits is one number, spaces separating numbers in a group
+ *   as in (4 5|)
+ * - [a1] and [0,1] are arrays, {v:1} an object, taking one frame each
+ * - 'X: marbles' lines are the inner stream X, relative to the frame it
+ *   is emitted (or subscribed to, in the inputs)
+ * - '#' stands for any error
+ * - '->' is an arrow function, and marbles in the call (-----x-->) are
+ *   cold observables
+ *
+ * Returns { name, isstatic, inputs, call, outputs } for each diagram, name
+ * being the documented function, isstatic true for Observable[name].
+ */
+function readDiagrams(code) {
+
+  var diagrams = [];
+  var comment = /\/\*\*\n([\s\S]*?)\*\/\n(.*)/g;
+  var match;
+
+  while ((match = comment.exec(code))) {
+
+    var declared = /^(?:function (\w+)|Observable\.(\w+) =)/.exec(match[2]);
+    var paragraphs = readParagraphs(match[1]);
+    var inputs = [];
+    var output;
+
+    for (var i = 0; declared && i < paragraphs.length - 1; i++) {
+
+      var previous = paragraphs[i - 1];
+      var next = paragraphs[i + 1];
+
+      if (!isCall(paragraphs[i][0]) || !next.every(isMarbles)) {
+        continue;
+      }
+
+      // After an output, the call runs on the inputs of the previous one
+      if (previous !== output) {
+        inputs = previous && previous.every(isMarbles) ? previous : [];
+      }
+
+      output = next;
+      diagrams.push({
+        name: declared[1] || declared[2],
+        isstatic: !declared[1],
+        inputs: inputs,
+        call: paragraphs[i].join('\n'),
+        outputs: output
+      });
+    }
+  }
+
+  return diagrams;
+}
+
+function readParagraphs(comment) {
+
+  var paragraphs = [[]];
+
+  comment.split('\n').forEach(function (line) {
+
+    line = line.replace(/^\s*\* ?/, '').replace(/\s+$/, '');
+
+    if (line) {
+      paragraphs[paragraphs.length - 1].push(line);
+    } else if (paragraphs[paragraphs.length - 1].length) {
+      paragraphs.push([]);
+    }
+  });
+
+  return paragraphs.filter(function (paragraph) {
+    return paragraph.length;
+  });
+}
+
+function isCall(line) {
+  return /^[a-zA-Z_$][\w$]*\(/.test(line);
+}
+
+function isMarbles(line) {
+  // Spaces only to align, or to separate numbers in a group
+  return !isCall(line) && /[-|#]/.test(line)
+    && /^\s*([A-Z]:\s*)?(\([^)]*\)|[^\s(])+$/.test(line);
+}
+
+/**
+ * Turns diagram marbles into marbles, each value taking one character
+ * mapped in values
+ *
+ * -10-[a1]-|  =>  -Ā-ā-|  with { Ā: 10, ā: ['a', 1] }
+ */
+function readMarbles(diagram, values) {
+  return diagram.replace(/\[[^\]]*\]|\{[^}]*\}|\d+/g, function (token) {
+    var key = String.fromCharCode(0x100 + Object.keys(values).length);
+    values[key] = readValue(token);
+    return key;
+  }).replace(/ /g, '');
+}
+
+function readValue(token) {
+
+  if (/^\d+$/.test(token)) {
+    return Number(token);
+  }
+
+  if (token[0] === '[') {
+    var items = token.slice(1, -1);
+    return (items.indexOf(',') > -1 ? items.split(',') : items.match(/\d+|\S/g) || [])
+      .map(readValue);
+  }
+
+  if (token[0] === '{') {
+    return token.slice(1, -1).split(',').reduce(function (object, entry) {
+      var pair = entry.split(':');
+      object[pair[0].trim()] = readValue(pair[1].trim());
+      return object;
+    }, {});
+  }
+
+  return token;
+}
+
+/**
+ * Sorts the lines of a diagram paragraph into streams and the inner
+ * streams they refer to, by letter
+ */
+function readLines(lines) {
+
+  var streams = [];
+  var inner = {};
+
+  lines.forEach(function (line) {
+    var definition = /^\s*([A-Z]):(.*)$/.exec(line);
+    if (definition) {
+      inner[definition[1]] = definition[2];
+    } else {
+      streams.push(line);
+    }
+  });
+
+  return { streams: streams, inner: inner };
+}
+
+
+/*****************
+ * Marble tester *
+ *****************/
+
+/**
+ * Builds observables from marbles and checks what an operator chain emits,
+ * all on virtual time. Expectations are checked by flush(), which throws
+ * when one of them fails.
+ *
+ * var tester = new MarbleTester();
+ * var source = tester.cold('-5-9-2-7-3-4-|', { 5: 5, 9: 9, 2: 2, 7: 7, 3: 3, 4: 4 });
+ *
+ * tester.expectObservable(source.filter(x => x > 4))
+ *   .toBe('-5-9---7-----|', { 5: 5, 9: 9, 7: 7 });
+ *
+ * tester.flush();
+ *
+ * Time-based operators must be given tester.scheduler.
+ */
+function MarbleTester() {
+
+  var scheduler = new TestScheduler();
+  var expectations = [];
+
+  this.scheduler = scheduler;
+
+  /**
+   * Frames run by flush, so that endless streams can be tested too
+   */
+  this.maxFrames = 750;
+
+  /**
+   * Creates an observable playing the marbles from the start
+   * for each subscriber
+   */
+  this.cold = function (marbles, values, error) {
+
+    if (marbles.indexOf('^') > -1) {
+      throw new Error('Cold observable cannot have a subscription point \'^\'');
+    }
+
+    var notifications = parseMarbles(marbles, values, error);
+
+    return new Observable(function (obs) {
+
+      var observer = new Observer(obs);
+      var subscription = new Subscription();
+
+      notifications.forEach(function (notification) {
+        subscription.add(scheduler.schedule(function () {
+          notify(observer, notification);
+        }, notification.frame));
+      });
+
+      return subscription;
+    });
+  };
+
+  /**
+   * Creates an observable playing the marbles once, whoever listens.
+   * Frames are counted from '^'.
+   */
+  this.hot = function (marbles, values, error) {
+
+    var subject = new Subject();
+
+    parseMarbles(marbles, values, error)
+      .filter(function (notification) {
+        return notification.frame >= 0;
+      })
+      .forEach(function (notification) {
+        scheduler.schedule(function () {
+          notify(subject, notification);
+        }, notification.frame);
+      });
+
+    return subject.asObservable();
+  };
+
+  /**
+   * Records what the observable emits, to compare it with toBe marbles.
+   * The optional subscription marble ('^---!') sets when to subscribe
+   * and when to dispose.
+   */
+  this.expectObservable = function (observable, subscriptionMarbles) {
+
+    var actual = [];
+    var expectation = { actual: actual };
+    var frames = parseSubscription(subscriptionMarbles || '^');
+    var subscription;
+
+    expectations.push(expectation);
+
+    scheduler.schedule(function () {
+      subscription = observable.subscribe(new Observer({
+        next: function (value) {
+          actual.push({ frame: scheduler.now(), kind: 'N', value: value });
+        },
+        error: function (err) {
+          actual.push({ frame: scheduler.now(), kind: 'E', error: err });
+        },
+        complete: function () {
+          actual.push({ frame: scheduler.now(), kind: 'C' });
+        }
+      }));
+    }, frames.subscribed);
+
+    if (frames.disposed !== Infinity) {
+      scheduler.schedule(function () {
+        subscription.dispose();
+      }, frames.disposed);
+    }
+
+    return {
+      toBe: function (marbles, values, error) {
+        expectation.expected = parseMarbles(marbles, values, error);
+      }
+    };
+  };
+
+  /**
+   * Checks a diagram read by readDiagrams, its call evaluated with the
+   * names of scope (the exports of the documented module, say). The
+   * result is disposed at the end of the output marbles.
+   */
+  this.expectDiagram = function (diagram, scope) {
+
+    var tester = this;
+    var values = {};
+    var inputs = readLines(diagram.inputs);
+    var outputs = readLines(diagram.outputs);
+    var names = Object.assign({}, scope);
+    var literals = 0;
+
+    Object.keys(inputs.inner).forEach(function (letter) {
+      values[letter] = tester.cold(readMarbles(inputs.inner[letter], values), values);
+    });
+
+    var streams = inputs.streams.map(function (line) {
+      return tester.cold(readMarbles(line, values), values);
+    });
+
+    var call = diagram.call
+      .replace(/(^|[(,]|->)(\s*)(-[^\s,)]*)/g, function (all, before, space, marbles) {
+        var name = '$' + literals++;
+        names[name] = tester.cold(readMarbles(marbles, values), values);
+        return before + space + name;
+      })
+      .replace(/->/g, '=>');
+
+    if (diagram.isstatic) {
+      streams.forEach(function (stream, i) {
+        names[String.fromCharCode(97 + i)] = stream;
+      });
+      names[diagram.name] = Observable[diagram.name].bind(Observable);
+    }
+
+    var made = Function.apply(null, Object.keys(names).concat('return ' + call))
+      .apply(null, Object.keys(names).map(function (name) {
+        return names[name];
+      }));
+
+    var expected = {};
+    var frames = framesBefore(readMarbles(outputs.streams[0], {}), Infinity);
+    var recordings = new Subscription();
+
+    Object.keys(outputs.inner).forEach(function (letter) {
+      expected[letter] = parseMarbles(readMarbles(outputs.inner[letter], expected), expected,
+        anyError);
+    });
+
+    this.expectObservable((diagram.isstatic ? made : made(streams[0]))
+      .map(function (value) {
+        return value instanceof Observable ? record(value) : value;
+      }), '^' + new Array(frames).join('-') + '!')
+      .toBe(readMarbles(outputs.streams[0], expected), expected, anyError);
+
+    scheduler.schedule(function () {
+      recordings.dispose();
+    }, frames);
+
+    // What an inner stream emits, from the frame it is emitted
+    function record(observable) {
+
+      var notifications = [];
+      var start = scheduler.now();
+
+      recordings.add(observable.subscribe(new Observer({
+        next: function (value) {
+          notifications.push({ frame: scheduler.now() - start, kind: 'N', value: value });
+        },
+        error: function (err) {
+          notifications.push({ frame: scheduler.now() - start, kind: 'E', error: err });
+        },
+        complete: function () {
+          notifications.push({ frame: scheduler.now() - start, kind: 'C' });
+        }
+      })));
+
+      return notifications;
+    }
+  };
+
+  /**
+   * Runs virtual time and checks every expectation
+   */
+  this.flush = function () {
+
+    scheduler.advanceTo(this.maxFrames);
+
+    expectations.forEach(function (expectation) {
+      if (!deepEqual(expectation.actual, expectation.expected)) {
+        throw new Error('Observable does not match marbles\n'
+          + 'Expected:\n' + render(expectation.expected) + '\n'
+          + 'Actual:\n' + render(expectation.actual));
+      }
+    });
+
+    expectations = [];
+  };
+}
+
+/**
+ * Runs callback with a new tester then flushes it
+ *
+ * MarbleTester.run(function (tester) {
+ *   tester.expectObservable(tester.cold('-a-|').take(1)).toBe('-(a|)');
+ * });
+ */
+MarbleTester.run = function (callback) {
+  var tester = new MarbleTester();
+  callback(tester);
+  tester.flush();
+};
+
+/**
+ * Runs a diagram read by readDiagrams on a new tester, which scheduler is
+ * the default one (Scheduler.async) meanwhile
+ *
+ * readDiagrams(code).forEach(function (diagram) {
+ *   MarbleTester.runDiagram(diagram, reactive);
+ * });
+ */
+MarbleTester.runDiagram = function (diagram, scope) {
+
+  var tester = new MarbleTester();
+  var async = Scheduler.async;
+
+  Scheduler.async = tester.scheduler;
+
+  try {
+    tester.expectDiagram(diagram, scope);
+    tester.flush();
+  } finally {
+    Scheduler.async = async;
+  }
+};
+
+function notify(observer, notification) {
+  switch (notification.kind) {
+    case 'N':
+      observer.next(notification.value);
+      break;
+    case 'E':
+      observer.error(notification.error);
+      break;
+    default:
+      observer.complete();
+  }
+}
+
+
+export { MarbleTester, parseMarbles, readDiagrams };